@@ -0,0 +1,536 @@
+const core = require('@lumjs/core');
+const {F,S,N,B,isObj,isNil,isPlainObject} = core.types;
+const {HTML_MODE: HM, escapeHTML} = require('./util');
+
+// The prefix for placeholders in `tpl()` markup.
+const TPL_ID = 'lum-tpl:';
+const TPL_MATCH = /^lum-tpl:(\d+)$/;
+
+// An event attribute at the end of a string.
+const EVENT_ATTR = /\s(on[\w.:-]+)\s*=\s*(["']?)$/i;
+
+// Where an interpolated value is inside a tag.
+const IN_QUOTES = 1, AFTER_EQUALS = 2, IN_UNQUOTED = 3, IN_TAG = 4;
+
+/**
+ * The `Builder` class for building DOM nodes declaratively.
+ *
+ * @property {module:@lumjs/dom} dom - The parent `LumDOM` object.
+ * @exports module:@lumjs/dom/builder
+ */
+class Builder
+{
+  /**
+   * Build a Builder instance.
+   * @param {module:@lumjs/dom} dom - The parent DOM helper instance.
+   */
+  constructor(dom)
+  {
+    this.dom = dom;
+  }
+
+  /**
+   * Create an element with properties and children.
+   *
+   * ```js
+   * const list = dom.create('ul', {class: 'menu'},
+   *   dom.create('li', {dataset: {id: 1}, onclick: handler}, 'One'),
+   *   dom.create('li', {style: {color: 'red'}}, 'Two'),
+   * );
+   * ```
+   *
+   * @param {(string|Element|Array)} tag - The element to create.
+   *
+   * If this is a `string` it's the tag name of a new element.
+   *
+   * If this is an `Element` the properties and children will be
+   * applied to it directly.
+   *
+   * If this is an `Array`, every item in it is the arguments for a
+   * separate call to `create()`, and the `props` and `children` parameters
+   * are not used. If there is more than one item, a `DocumentFragment`
+   * containing all of the created elements will be returned.
+   *
+   * @param {object} [props] Properties to apply to the element.
+   *
+   * If this is not a *plain object*, it is considered the first child.
+   *
+   * Most properties are assigned to the element directly if the element
+   * has a property with that name, or set as an attribute if it doesn't.
+   * A few property names have special meaning:
+   *
+   * - `class` / `className` / `classList`: a `string` of class names,
+   *   an `Array` of class names, or an `object` where each key is a
+   *   class name and the value is a `boolean` to add or remove it.
+   * - `style`: a `string` of CSS text, or an `object` of CSS properties.
+   * - `dataset` / `data`: an `object` of `data-*` attributes.
+   * - `attrs`: an `object` of attributes; `null` or `false` values remove
+   *   the attribute, and `true` sets it to an empty string.
+   * - `props`: an `object` of properties to assign directly.
+   * - `on`: an *event map*, where each key is a space separated list of
+   *   event types (which may have a `(selector)` and/or `:capture` suffix),
+   *   and the value is either an event listener, or an `Array` of
+   *   `[options, listener]`.
+   * - `onclick`, etc.: a property that starts with `on` and has a
+   *   `function` value is an event listener for that event type.
+   *   The event type is lowercased, so `onClick` is a `click` listener;
+   *   use the `on` property for event types with uppercase letters.
+   *
+   * All event listeners are assigned using
+   * [events.on()]{@link module:@lumjs/dom/events#on}.
+   *
+   * @param {...*} children - Children to append to the element.
+   *
+   * - A `Node` will be appended directly.
+   * - A `NodeList`, `HTMLCollection` or `Array` will have each
+   *   of its items appended (recursively.)
+   * - A wrapper object (from the `wrap` module) will be unwrapped.
+   * - A `string` or `number` will be appended as a `Text` node.
+   * - `null`, `undefined`, and `boolean` values are skipped.
+   *
+   * @returns {(Element|DocumentFragment)}
+   *
+   * @throws {TypeError} If `tag` was not a supported value.
+   */
+  create(tag, props, ...children)
+  {
+    if (Array.isArray(tag))
+    {
+      const roots = tag.map(args => Array.isArray(args)
+        ? this.create(...args)
+        : this.create(args));
+
+      if (roots.length === 1) return roots[0];
+
+      const frag = this.dom.frag();
+      frag.append(...roots);
+      return frag;
+    }
+
+    let elem;
+    if (typeof tag === S)
+    {
+      elem = this.dom.elem(tag);
+    }
+    else if (this.dom.isElement(tag))
+    {
+      elem = tag;
+    }
+    else
+    {
+      throw new TypeError("tag must be a string, Element, or Array");
+    }
+
+    if (isPlainObject(props))
+    {
+      this.setProps(elem, props);
+    }
+    else if (props !== undefined)
+    { // Not properties, so it's the first child.
+      children.unshift(props);
+    }
+
+    this.append(elem, ...children);
+
+    return elem;
+  }
+
+  /**
+   * Apply properties to an element.
+   *
+   * See [create()]{@link module:@lumjs/dom/builder#create} for a list
+   * of the supported properties.
+   *
+   * @param {Element} elem - The element to apply properties to.
+   * @param {object} props - The properties to apply.
+   * @returns {Element} The `elem`.
+   */
+  setProps(elem, props)
+  {
+    for (const key in props)
+    {
+      const value = props[key];
+
+      if (key === 'class' || key === 'className' || key === 'classList')
+      {
+        setClass(elem, value);
+      }
+      else if (key === 'style')
+      {
+        setStyle(elem, value);
+      }
+      else if (key === 'dataset' || key === 'data')
+      {
+        Object.assign(elem.dataset, value);
+      }
+      else if (key === 'attrs')
+      {
+        for (const name in value)
+        {
+          setAttr(elem, name, value[name]);
+        }
+      }
+      else if (key === 'props')
+      {
+        Object.assign(elem, value);
+      }
+      else if (key === 'on')
+      {
+        this.dom.events.on(elem, value);
+      }
+      else if (key.startsWith('on') && typeof value === F)
+      {
+        this.dom.events.on(elem, key.substring(2).toLowerCase(), value);
+      }
+      else if (key in elem)
+      {
+        elem[key] = value;
+      }
+      else
+      {
+        setAttr(elem, key, value);
+      }
+    }
+
+    return elem;
+  }
+
+  /**
+   * Append children to a node.
+   *
+   * See [create()]{@link module:@lumjs/dom/builder#create} for a list
+   * of the supported child values.
+   *
+   * @param {Node} node - The parent node.
+   * @param {...*} children - The children to append.
+   * @returns {Node} The `node`.
+   *
+   * @throws {TypeError} If a child was not a supported value.
+   */
+  append(node, ...children)
+  {
+    for (let child of children)
+    {
+      if (isNil(child) || typeof child === B) continue;
+
+      if (isObj(child) && this.dom.wrapper.isWrapped(child))
+      {
+        child = child.unwrap();
+      }
+
+      if (typeof child === S || typeof child === N)
+      {
+        node.appendChild(this.dom.document.createTextNode(child));
+      }
+      else if (this.dom.isNode(child))
+      {
+        node.appendChild(child);
+      }
+      else if (Array.isArray(child) || this.dom.isContainer(child))
+      { // Copy it first, as the list may be live.
+        this.append(node, ...Array.from(child));
+      }
+      else
+      {
+        throw new TypeError("Invalid child");
+      }
+    }
+
+    return node;
+  }
+
+  /**
+   * A tagged template for safely building HTML.
+   *
+   * ```js
+   * const item = dom.tpl`<li class="item" onclick=${handler}>${name}</li>`;
+   * ```
+   *
+   * Interpolated values are handled depending on their type:
+   *
+   * - A `string` or other simple value is escaped using
+   *   [escapeHTML()]{@link module:@lumjs/dom/util.escapeHTML}, so
+   *   the value is *always* treated as text and never as markup.
+   *   `null`, `undefined`, and `false` are replaced with an empty string.
+   * - A `Node`, `NodeList`, `HTMLCollection`, wrapper object, or `Array`
+   *   in element content will be inserted in place, in the same manner
+   *   as the [append()]{@link module:@lumjs/dom/builder#append} method.
+   * - An event listener as the value of an `on...` attribute will be
+   *   assigned using [events.on()]{@link module:@lumjs/dom/events#on},
+   *   and the attribute itself will be removed. Any other value in an
+   *   `on...` attribute throws a `TypeError`.
+   * - A value for an unquoted attribute (`title=${value}`) is wrapped in
+   *   double quotes, so it cannot add any other attributes. A value in
+   *   the middle of an unquoted attribute value throws a `TypeError`.
+   *
+   * @param {string[]} strings - The literal parts of the template.
+   * @param {...*} values - The interpolated values.
+   *
+   * @returns {*} The same return values as the `html()` method in
+   * the default `HTML_MODE.AUTO` mode. Use `tplWith()` for other modes.
+   */
+  tpl(strings, ...values)
+  {
+    return this.$tpl(strings, values, {});
+  }
+
+  /**
+   * Get a tagged template function using specific `html()` options.
+   *
+   * ```js
+   * const body = dom.tplWith(HTML_MODE.BODY)`<p>${text}</p>`;
+   * ```
+   *
+   * @param {number} [mode=HTML_MODE.AUTO] The `html()` mode.
+   *
+   * You can omit this parameter entirely and just pass an object
+   * of `opts` if you want.
+   *
+   * @param {object} [opts] Options for `html()` (the `mode` may be
+   * specified here as well.)
+   *
+   * @returns {function} A tagged template function that works like `tpl()`.
+   */
+  tplWith(mode=HM.AUTO, opts={})
+  {
+    if (isObj(mode))
+    {
+      opts = mode;
+    }
+    else
+    {
+      opts = Object.assign({}, opts, {mode});
+    }
+    return (strings, ...values) => this.$tpl(strings, values, opts);
+  }
+
+  // The implementation of `tpl()`.
+  $tpl(strings, values, opts)
+  {
+    const dom = this.dom;
+    const inserts = [], listeners = [];
+
+    let markup = strings[0];
+    for (let i = 0; i < values.length; i++)
+    {
+      const value = values[i];
+      const pos = tagPosition(markup);
+      const where = pos?.where ?? null;
+      const evAttr = (where !== null && /^on/i.test(pos.attr));
+
+      if (evAttr)
+      { // Only an event listener is allowed.
+        const empty = markup.match(EVENT_ATTR);
+        if (!dom.isListener(value) || !empty)
+        {
+          throw new TypeError(`tpl() values in ${pos.attr} must be an event listener`);
+        }
+        const id = TPL_ID + listeners.length;
+        listeners.push({type: pos.attr.substring(2).toLowerCase(), listener: value});
+        markup += (where === IN_QUOTES) ? id : `"${id}"`;
+      }
+      else if (where === null && this.$isInsertable(value))
+      { // Node(s) to insert.
+        markup += `<!--${TPL_ID}${inserts.length}-->`;
+        inserts.push(value);
+      }
+      else
+      { // Anything else is text.
+        const text = (isNil(value) || value === false) ? '' : escapeHTML(value);
+        if (where === AFTER_EQUALS)
+        { // Quote it so it can't add more attributes.
+          markup += `"${text}"`;
+        }
+        else if (where === IN_UNQUOTED)
+        {
+          throw new TypeError("tpl() values cannot be part of an unquoted attribute");
+        }
+        else
+        {
+          markup += text;
+        }
+      }
+
+      markup += strings[i+1];
+    }
+
+    const doc = dom.parse(markup);
+
+    if (listeners.length > 0)
+    {
+      for (const elem of doc.querySelectorAll('*'))
+      {
+        for (const attr of Array.from(elem.attributes))
+        {
+          const match = attr.value.match(TPL_MATCH);
+          if (match && attr.name.startsWith('on'))
+          {
+            const def = listeners[match[1]];
+            elem.removeAttribute(attr.name);
+            dom.events.on(elem, def.type, def.listener);
+          }
+        }
+      }
+    }
+
+    if (inserts.length > 0)
+    {
+      const SHOW_COMMENT = dom.window.NodeFilter.SHOW_COMMENT;
+      const walker = doc.createTreeWalker(doc, SHOW_COMMENT);
+      const found = [];
+      while (walker.nextNode())
+      {
+        const match = walker.currentNode.data.match(TPL_MATCH);
+        if (match) found.push([walker.currentNode, inserts[match[1]]]);
+      }
+      for (const [comment, value] of found)
+      {
+        comment.replaceWith(this.append(dom.frag(), value));
+      }
+    }
+
+    return dom.$htmlResult(doc, opts.mode ?? HM.AUTO, opts);
+  }
+
+  // Is a value something `tpl()` can insert?
+  $isInsertable(value)
+  {
+    return (Array.isArray(value) 
+      || this.dom.isNode(value)
+      || this.dom.isContainer(value)
+      || (isObj(value) && this.dom.wrapper.isWrapped(value)));
+  }
+
+} // Builder class
+
+module.exports = Builder;
+
+// Find where the end of some markup is inside of a tag; `null` if it isn't.
+// Scans the whole markup, so a `>` in a quoted value doesn't end the tag.
+// Returns the position, and the name of the attribute (if in a value.)
+function tagPosition(markup)
+{
+  let inTag = false, quote = null, equals = false, unquoted = false;
+  let name = '', attr = '';
+
+  for (let i = 0; i < markup.length; i++)
+  {
+    const c = markup[i];
+
+    if (quote !== null)
+    { // Inside a quoted attribute value.
+      if (c === quote) quote = null;
+    }
+    else if (!inTag)
+    {
+      if (markup.startsWith('<!--', i))
+      { // Comments may contain anything.
+        const end = markup.indexOf('-->', i+4);
+        if (end === -1) return null;
+        i = end + 2;
+      }
+      else if (c === '<' && (i+1 === markup.length || /[a-z\/!?]/i.test(markup[i+1])))
+      {
+        inTag = true;
+        equals = unquoted = false;
+        name = '';
+        // Skip the tag name.
+        while (i+1 < markup.length && /[^\s\/>]/.test(markup[i+1])) i++;
+      }
+    }
+    else if (equals)
+    { // The start of an attribute value.
+      if (/\s/.test(c)) continue;
+      equals = false;
+      if (c === '"' || c === "'") quote = c;
+      else if (c === '>') inTag = false;
+      else unquoted = true;
+    }
+    else if (c === '>')
+    {
+      inTag = unquoted = false;
+    }
+    else if (unquoted)
+    {
+      if (/\s/.test(c)) unquoted = false;
+    }
+    else if (c === '=')
+    {
+      equals = true;
+      if (name !== '') attr = name;
+      name = '';
+    }
+    else if (/[\s\/]/.test(c))
+    {
+      if (name !== '') attr = name;
+      name = '';
+    }
+    else
+    {
+      if (name === '') attr = '';
+      name += c;
+    }
+  }
+
+  if (!inTag) return null;
+  if (quote !== null) return {where: IN_QUOTES, attr};
+  if (equals) return {where: AFTER_EQUALS, attr};
+  if (unquoted) return {where: IN_UNQUOTED, attr};
+  return {where: IN_TAG, attr: ''};
+}
+
+// Set an attribute, or remove it if the value is `null` or `false`.
+function setAttr(elem, name, value)
+{
+  if (isNil(value) || value === false)
+  {
+    elem.removeAttribute(name);
+  }
+  else
+  {
+    elem.setAttribute(name, value === true ? '' : value);
+  }
+}
+
+// Set the class list.
+function setClass(elem, value)
+{
+  if (typeof value === S)
+  {
+    elem.className = value;
+  }
+  else if (Array.isArray(value))
+  {
+    elem.classList.add(...value);
+  }
+  else if (isObj(value))
+  {
+    for (const name in value)
+    {
+      elem.classList.toggle(name, !!value[name]);
+    }
+  }
+}
+
+// Set inline styles.
+function setStyle(elem, value)
+{
+  if (typeof value === S)
+  {
+    elem.style.cssText = value;
+  }
+  else if (isObj(value))
+  {
+    for (const name in value)
+    {
+      if (name.includes('-'))
+      { // A CSS property name.
+        elem.style.setProperty(name, value[name]);
+      }
+      else
+      { // A JS property name.
+        elem.style[name] = value[name];
+      }
+    }
+  }
+}
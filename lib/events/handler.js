@@ -0,0 +1,329 @@
+const core = require('@lumjs/core');
+const {S,F,isObj,def} = core.types;
+const EventRegistration = require('./registration');
+
+// Non-bubbling event types, and the bubbling types used to delegate them.
+const DELEGATE_TYPES =
+{
+  focus: 'focusin',
+  blur: 'focusout',
+  mouseenter: 'mouseover',
+  mouseleave: 'mouseout',
+};
+
+// Delegated event types that are filtered using `relatedTarget`.
+const RELATED_TYPES = ['mouseenter', 'mouseleave'];
+
+/**
+ * An event handler assigned by `events.on()`.
+ *
+ * A single handler manages one event listener assigned to a whole set of
+ * nodes and event types, with an `EventRegistration` for each node/type
+ * combination. It can be used to remove, pause, or resume all of them
+ * at once.
+ *
+ * The handler itself is the `EventListener` that is assigned to
+ * the nodes, via its `handleEvent()` method.
+ *
+ * @property {module:@lumjs/dom/events} events - The parent `Events` instance.
+ * @property {Node[]} nodes - The target nodes.
+ * @property {string[]} types - The event types.
+ * @property {object} namespaces - The namespaces for each event type.
+ *
+ * Each key is an event type, and the value is an `Array` of namespaces.
+ *
+ * @property {object} options - Options for `addEventListener()`.
+ * @property {(function|object)} eventListener - The event listener
+ * passed to `events.on()`.
+ * @property {?string} selector - The selector for delegated events.
+ * @property {module:@lumjs/dom/events.Registration[]} registrations -
+ * The active registrations.
+ * @property {boolean} paused - Is the handler paused?
+ * @property {boolean} once - Remove registrations after one call?
+ *
+ * @alias module:@lumjs/dom/events.Handler
+ */
+class EventHandler
+{
+  /**
+   * Build an event handler.
+   *
+   * This is generally only called by `events.on()`.
+   *
+   * @param {module:@lumjs/dom/events} events - The parent `Events` instance.
+   * @param {object} eventDef - The normalized event definition.
+   */
+  constructor(events, eventDef)
+  {
+    const {target, types, namespaces, eventListener, suffix} = eventDef;
+    const options = Object.assign({}, eventDef.options);
+
+    this.events = events;
+    this.nodes = Array.from(new Set(target));
+    this.types = types;
+    this.namespaces = namespaces;
+    this.options = options;
+    this.once = !!options.once;
+    this.eventListener = eventListener;
+    this.selector = (typeof options.selector === S) ? options.selector : null;
+    this.suffix = suffix;
+    this.registrations = [];
+    this.paused = false;
+
+    // We handle `once` ourselves, so it must not be passed on.
+    delete options.once;
+
+    if (options.ctrl === true)
+    { // Create an AbortController, and assign its signal.
+      options.ctrl = new this.dom.window.AbortController();
+    }
+
+    if (isObj(options.ctrl) && options.signal === undefined)
+    { // Set the signal.
+      options.signal = options.ctrl.signal;
+    }
+
+    if (isObj(options.signal) && typeof options.signal.addEventListener === F)
+    { // The browser removes the listeners, we remove the registrations.
+      options.signal.addEventListener('abort', () => this.off(), {once: true});
+    }
+  }
+
+  /**
+   * The parent `LumDOM` instance.
+   * @type {module:@lumjs/dom}
+   */
+  get dom()
+  {
+    return this.events.dom;
+  }
+
+  /**
+   * Does this handler have any active registrations?
+   * @type {boolean}
+   */
+  get active()
+  {
+    return this.registrations.length > 0;
+  }
+
+  /**
+   * Assign the event listener to all of the nodes and event types.
+   *
+   * Called automatically by `events.on()`.
+   *
+   * @returns {object} `this`
+   */
+  $register()
+  {
+    if (this.options.signal?.aborted) return this;
+
+    try
+    {
+      for (const node of this.nodes)
+      {
+        for (const type of this.types)
+        {
+          const reg = new EventRegistration(this, node, type, type+this.suffix);
+          reg.on();
+          this.registrations.push(reg);
+        }
+      }
+    }
+    catch (err)
+    { // Don't leave any listeners assigned without a handler to remove them.
+      this.off();
+      throw err;
+    }
+
+    return this;
+  }
+
+  // Remove a single registration.
+  $remove(reg)
+  {
+    reg.off();
+    const index = this.registrations.indexOf(reg);
+    if (index !== -1)
+    {
+      this.registrations.splice(index, 1);
+    }
+    if (!this.active)
+    {
+      this.events.$prune(this);
+    }
+    return this;
+  }
+
+  /**
+   * Handle an event; this is the `EventListener` interface.
+   *
+   * Calls the `eventListener` unless the handler is paused, the event
+   * has a `namespace` the handler is not in, or the event was not from
+   * an element matching the `selector`.
+   *
+   * @param {Event} event - The event being dispatched.
+   * @param {module:@lumjs/dom/events.Registration} [registration]
+   * The registration the event is for.
+   *
+   * Only needed by plugins that call this after the event has finished
+   * dispatching (when `event.currentTarget` is no longer set).
+   *
+   * @returns {*} The return value from the `eventListener`.
+   */
+  handleEvent(event, registration)
+  {
+    if (this.paused) return;
+
+    const reg = registration ?? this.registrations.find(reg => 
+      reg.node === event.currentTarget && reg.eventType === event.type);
+    const node = reg?.node ?? event.currentTarget;
+    const type = reg?.type ?? event.type;
+
+    if (typeof event.namespace === S && event.namespace !== '')
+    { // Only handlers in all of the namespaces.
+      const namespaces = this.namespaces[type] ?? [];
+      if (!event.namespace.split('.').every(ns => namespaces.includes(ns)))
+      {
+        return;
+      }
+    }
+
+    let thisArg = node;
+
+    if (this.selector !== null)
+    { // A delegated event.
+      const delegate = this.$findDelegate(node, event.target);
+      if (!delegate) return;
+
+      if (RELATED_TYPES.includes(type))
+      { // Ignore moving between elements inside the delegate.
+        const related = event.relatedTarget;
+        if (related && delegate.contains(related)) return;
+      }
+
+      def(event, 'captureTarget', node);
+      thisArg = delegate;
+    }
+
+    if (this.once && reg)
+    { // Remove the registration before calling the listener.
+      this.$remove(reg);
+    }
+
+    return this.$call(thisArg, event);
+  }
+
+  /**
+   * Get the event type to actually listen for.
+   *
+   * Delegated events need to bubble, so if this handler has a `selector`,
+   * non-bubbling event types will be replaced with bubbling equivalents:
+   *
+   * - `focus` → `focusin`
+   * - `blur` → `focusout`
+   * - `mouseenter` → `mouseover`
+   * - `mouseleave` → `mouseout`
+   *
+   * For the mouse events, moving between elements inside the matching
+   * element is ignored (using `event.relatedTarget`), so the listener is
+   * called in the same circumstances as a direct listener would be.
+   * The event object passed to the listener is the bubbling event.
+   *
+   * @param {string} type - The event type.
+   * @returns {string}
+   */
+  eventType(type)
+  {
+    return (this.selector !== null && type in DELEGATE_TYPES)
+      ? DELEGATE_TYPES[type]
+      : type;
+  }
+
+  // Call the event listener.
+  $call(thisArg, event)
+  {
+    const listener = this.eventListener;
+    return (typeof listener === F)
+      ? listener.call(thisArg, event)
+      : listener.handleEvent(event);
+  }
+
+  // Find the element matching the selector for a delegated event.
+  $findDelegate(origTarget, targetElem)
+  {
+    while (this.dom.isElement(targetElem) && targetElem !== origTarget)
+    {
+      if (targetElem.matches(this.selector))
+      { // We found a match.
+        return targetElem;
+      }
+      targetElem = targetElem.parentElement;
+    }
+    return null;
+  }
+
+  /**
+   * Remove the event listener from all of the nodes.
+   *
+   * Once removed, the handler cannot be re-assigned.
+   * If you want to temporarily disable it, use `pause()` instead.
+   *
+   * @returns {object} `this`
+   */
+  off()
+  {
+    for (const reg of this.registrations)
+    {
+      reg.off();
+    }
+    this.registrations = [];
+    this.events.$prune(this);
+    return this;
+  }
+
+  /**
+   * Pause the handler.
+   *
+   * The event listeners remain assigned, but events will be ignored
+   * until `resume()` is called.
+   *
+   * @returns {object} `this`
+   */
+  pause()
+  {
+    this.paused = true;
+    return this;
+  }
+
+  /**
+   * Resume a paused handler.
+   * @returns {object} `this`
+   */
+  resume()
+  {
+    this.paused = false;
+    return this;
+  }
+
+  /**
+   * Abort the handler.
+   *
+   * If the `ctrl` option was used, its `AbortController` will be aborted,
+   * which will also abort any other handlers using the same controller.
+   * In any case, the event listener will be removed from all of the nodes.
+   *
+   * @returns {object} `this`
+   */
+  abort()
+  {
+    if (isObj(this.options.ctrl) && typeof this.options.ctrl.abort === F)
+    {
+      this.options.ctrl.abort();
+    }
+    return this.off();
+  }
+
+} // EventHandler class
+
+module.exports = EventHandler;
@@ -1,9 +1,7 @@
 const core = require('@lumjs/core');
-const {S,F,B,isInstance,needType,needObj,isObj,def,lazy} = core.types;
-const {getNodeSymbol} = require('../util');
-
-const EVENTS = Symbol('LumDomEventHandlers');
-const getNodeEvents = node => getNodeSymbol(node, EVENTS);
+const {S,F,B,N,isInstance,needType,needObj,isObj,def,lazy} = core.types;
+const EventHandler = require('./handler');
+const EventRegistration = require('./registration');
 
 function eventSuffix(options)
 {
@@ -19,6 +17,127 @@ function eventSuffix(options)
   return suffix;
 }
 
+// Normalize the options for `on()` and `off()`.
+function getOptions(options)
+{
+  if (typeof options === S)
+  { // A string is considered the 'selector' option.
+    return {selector: options};
+  }
+  else if (typeof options === B)
+  { // A boolean is considered the 'capture' option.
+    return {capture: options};
+  }
+  else if (!isObj(options))
+  { // Empty options.
+    return {};
+  }
+  return options;
+}
+
+// TouchEvent options that are lists of touches.
+const TOUCH_LISTS = ['touches', 'targetTouches', 'changedTouches'];
+
+// Native events that can't be detected with an `on<type>` property.
+const NATIVE_EVENTS = ['DOMContentLoaded', 'DOMFrameContentLoaded'];
+
+// Type names supported by event definition schemas.
+const SCHEMA_TYPES = ['any', 'array', 'object', 'string', 'number', 
+  'boolean', 'function', 'bigint', 'symbol'];
+
+// Make sure an event definition detail schema is valid.
+function checkSchema(schema, path='detail')
+{
+  if (typeof schema === S)
+  {
+    const type = schema.endsWith('?') ? schema.slice(0, -1) : schema;
+    if (!SCHEMA_TYPES.includes(type))
+    {
+      throw new TypeError(`unknown type '${schema}' for ${path}`);
+    }
+  }
+  else if (isObj(schema) && !Array.isArray(schema))
+  {
+    for (const key in schema)
+    {
+      checkSchema(schema[key], `${path}.${key}`);
+    }
+  }
+  else if (typeof schema !== F)
+  {
+    throw new TypeError(`invalid schema for ${path}`);
+  }
+}
+
+// Check a value against a detail schema; returns an error message or null.
+function checkDetail(schema, value, path='detail')
+{
+  if (typeof schema === F)
+  {
+    return schema(value) ? null : `${path} is invalid`;
+  }
+
+  if (typeof schema === S)
+  {
+    const optional = schema.endsWith('?');
+    const type = optional ? schema.slice(0, -1) : schema;
+    if (value === undefined || value === null)
+    {
+      return (optional || type === 'any') ? null : `${path} is required`;
+    }
+    const valid = (type === 'any') 
+      || (type === 'array' && Array.isArray(value))
+      || (type === 'object' && isObj(value))
+      || typeof value === type;
+    return valid ? null : `${path} must be ${type}`;
+  }
+
+  // An object schema.
+  if (!isObj(value))
+  {
+    return `${path} must be object`;
+  }
+  for (const key in schema)
+  {
+    const error = checkDetail(schema[key], value[key], `${path}.${key}`);
+    if (error !== null) return error;
+  }
+  return null;
+}
+
+// An event map key: `types(selector):capture`
+const EVENT_KEY = /^([^()]*?)\s*(?:\((.+)\))?(:capture)?$/;
+
+// Parse event types with optional namespaces (e.g. `click.menu`).
+function parseTypes(types)
+{
+  const parsed = {};
+  for (const token of types.trim().split(/\s+/))
+  {
+    const [type, ...namespaces] = token.split('.');
+    const list = (parsed[type] ??= []);
+    for (const ns of namespaces)
+    {
+      if (ns !== '' && !list.includes(ns)) list.push(ns);
+    }
+  }
+  return parsed;
+}
+
+// Does a registration match any of the parsed event types?
+function matchTypes(reg, namespaces)
+{
+  for (const type in namespaces)
+  {
+    if ((type === '' || type === reg.type)
+      && namespaces[type].every(ns => reg.namespaces.includes(ns)))
+    {
+      return true;
+    }
+  }
+  return false;
+}
+
 /**
  * A map of event names to specific classes.
  * 
@@ -27,6 +146,7 @@ function eventSuffix(options)
  * 
  * Currently includes:
  * 
+ * - `error` → `UIEvent`
  * - `wheel` → `WheelEvent`
  * - `copy, cut, paste` → `ClipboardEvent`
  * - `blur, focus, focusin, focusout` → `FocusEvent`
@@ -35,6 +155,28 @@ function eventSuffix(options)
  * - `mousedown, mouseenter, mouseleave, mousemove` → `MouseEvent`
  * - `mouseout, mouseover, mouseup` → `MouseEvent`
  * - `touchcancel, touchend, touchmove, touchstart` → `TouchEvent`
+ * - `pointerdown, pointermove, pointerup, pointercancel` → `PointerEvent`
+ * - `pointerover, pointerout, pointerenter, pointerleave` → `PointerEvent`
+ * - `gotpointercapture, lostpointercapture, pointerrawupdate` → `PointerEvent`
+ * - `beforeinput, input` → `InputEvent`
+ * - `compositionstart, compositionupdate, compositionend` → `CompositionEvent`
+ * - `drag, dragend, dragenter, dragleave, dragover, dragstart, drop`
+ *   → `DragEvent`
+ * - `animationstart, animationiteration, animationend, animationcancel`
+ *   → `AnimationEvent`
+ * - `transitionrun, transitionstart, transitionend, transitioncancel`
+ *   → `TransitionEvent`
+ * - `submit` → `SubmitEvent`
+ * - `formdata` → `FormDataEvent`
+ * - `loadstart, progress, loadend` → `ProgressEvent`
+ * - `beforetoggle, toggle` → `ToggleEvent`
+ * - `hashchange` → `HashChangeEvent`
+ * - `popstate` → `PopStateEvent`
+ * - `pageshow, pagehide` → `PageTransitionEvent`
+ * 
+ * If the window doesn't have one of the classes (for instance `jsdom`
+ * doesn't have `PointerEvent` or `DragEvent`), a fallback class from
+ * [Events.FALLBACKS]{@link module:@lumjs/dom/events.FALLBACKS} is used.
  * 
  * Has a few other properties for internal use that
  * I'll document when I get around to it.
@@ -48,6 +190,10 @@ const EVENT_CLASSES =
   _custom: 'CustomEvent',
   error: 'UIEvent',
   wheel: 'WheelEvent',
+  submit: 'SubmitEvent',
+  formdata: 'FormDataEvent',
+  hashchange: 'HashChangeEvent',
+  popstate: 'PopStateEvent',
   $add(classname, ...events)
   {
     for (const ev of events)
@@ -63,8 +209,176 @@ const EVENT_CLASSES =
     'mousedown', 'mouseenter', 'mouseleave', 'mousemove', 'mouseout',
     'mouseover', 'mouseup')
   .$add('TouchEvent', 'touchcancel', 'touchend', 'touchmove', 'touchstart')
+  .$add('PointerEvent', 'pointerdown', 'pointermove', 'pointerup',
+    'pointercancel', 'pointerover', 'pointerout', 'pointerenter',
+    'pointerleave', 'gotpointercapture', 'lostpointercapture',
+    'pointerrawupdate')
+  .$add('InputEvent', 'beforeinput', 'input')
+  .$add('CompositionEvent', 'compositionstart', 'compositionupdate',
+    'compositionend')
+  .$add('DragEvent', 'drag', 'dragend', 'dragenter', 'dragleave',
+    'dragover', 'dragstart', 'drop')
+  .$add('AnimationEvent', 'animationstart', 'animationiteration',
+    'animationend', 'animationcancel')
+  .$add('TransitionEvent', 'transitionrun', 'transitionstart',
+    'transitionend', 'transitioncancel')
+  .$add('ProgressEvent', 'loadstart', 'progress', 'loadend')
+  .$add('ToggleEvent', 'beforetoggle', 'toggle')
+  .$add('PageTransitionEvent', 'pageshow', 'pagehide')
 ;
 
+// Properties shared by all events with keyboard modifiers.
+const MODIFIER_PROPS =
+{
+  ctrlKey: false, 
+  shiftKey: false, 
+  altKey: false, 
+  metaKey: false,
+};
+
+// An empty list of touches.
+const NO_TOUCHES = Object.freeze([]);
+
+/**
+ * A map of event classes to the class to use instead if the window
+ * doesn't have them.
+ * 
+ * Each value is an object with a `parent` property with the name of the
+ * fallback class (which may have a fallback of its own), and a `props`
+ * object with the properties the fallback class is missing, and their
+ * default values. When a fallback class is used, `build()` adds those
+ * properties to the event, with the values from the options if specified.
+ * 
+ * So in `jsdom` a `pointerdown` event will be a `MouseEvent` with
+ * a `pointerId`, `pointerType`, etc.
+ * 
+ * @alias module:@lumjs/dom/events.FALLBACKS
+ * @type {object}
+ */
+const CLASS_FALLBACKS =
+{
+  PointerEvent:
+  {
+    parent: 'MouseEvent',
+    props:
+    {
+      pointerId: 0, width: 1, height: 1, pressure: 0, tangentialPressure: 0,
+      tiltX: 0, tiltY: 0, twist: 0, pointerType: '', isPrimary: false,
+    },
+  },
+  WheelEvent:
+  {
+    parent: 'MouseEvent',
+    props: {deltaX: 0, deltaY: 0, deltaZ: 0, deltaMode: 0},
+  },
+  DragEvent:
+  {
+    parent: 'MouseEvent',
+    props: {dataTransfer: null},
+  },
+  MouseEvent:
+  {
+    parent: 'UIEvent',
+    props: Object.assign(
+    {
+      screenX: 0, screenY: 0, clientX: 0, clientY: 0, 
+      button: 0, buttons: 0, relatedTarget: null,
+    }, MODIFIER_PROPS),
+  },
+  KeyboardEvent:
+  {
+    parent: 'UIEvent',
+    props: Object.assign(
+    {
+      key: '', code: '', location: 0, repeat: false, isComposing: false,
+    }, MODIFIER_PROPS),
+  },
+  TouchEvent:
+  {
+    parent: 'UIEvent',
+    props: Object.assign(
+    {
+      touches: NO_TOUCHES, targetTouches: NO_TOUCHES, 
+      changedTouches: NO_TOUCHES,
+    }, MODIFIER_PROPS),
+  },
+  FocusEvent:
+  {
+    parent: 'UIEvent',
+    props: {relatedTarget: null},
+  },
+  InputEvent:
+  {
+    parent: 'UIEvent',
+    props: {data: null, inputType: '', isComposing: false, dataTransfer: null},
+  },
+  CompositionEvent:
+  {
+    parent: 'UIEvent',
+    props: {data: ''},
+  },
+  UIEvent:
+  {
+    parent: 'Event',
+    props: {view: null, detail: 0},
+  },
+  CustomEvent:
+  {
+    parent: 'Event',
+    props: {detail: null},
+  },
+  AnimationEvent:
+  {
+    parent: 'Event',
+    props: {animationName: '', elapsedTime: 0, pseudoElement: ''},
+  },
+  TransitionEvent:
+  {
+    parent: 'Event',
+    props: {propertyName: '', elapsedTime: 0, pseudoElement: ''},
+  },
+  ClipboardEvent:
+  {
+    parent: 'Event',
+    props: {clipboardData: null},
+  },
+  SubmitEvent:
+  {
+    parent: 'Event',
+    props: {submitter: null},
+  },
+  FormDataEvent:
+  {
+    parent: 'Event',
+    props: {formData: null},
+  },
+  ProgressEvent:
+  {
+    parent: 'Event',
+    props: {lengthComputable: false, loaded: 0, total: 0},
+  },
+  ToggleEvent:
+  {
+    parent: 'Event',
+    props: {oldState: '', newState: ''},
+  },
+  HashChangeEvent:
+  {
+    parent: 'Event',
+    props: {oldURL: '', newURL: ''},
+  },
+  PopStateEvent:
+  {
+    parent: 'Event',
+    props: {state: null},
+  },
+  PageTransitionEvent:
+  {
+    parent: 'Event',
+    props: {persisted: false},
+  },
+};
+
 /**
  * Event Handler Plugins
  * 
@@ -75,10 +389,34 @@ const EVENT_CLASSES =
  */
 const HANDLER_PLUGINS = {};
 
+/**
+ * A map of `on()` option names to the plugin classname handling them.
+ * 
+ * Used for plugins that change how an event is handled (such as the
+ * bundled `debounce` and `throttle` options) rather than adding new
+ * event types. See `Plugin.registerOptions()` for details.
+ * 
+ * @alias module:@lumjs/dom/events.OPTIONS
+ * @type {object}
+ */
+const HANDLER_OPTIONS = {};
+
 /**
  * The `Events` class for managing DOM events in a more efficient manner.
  * 
  * @property {module:@lumjs/dom} dom - The parent `LumDOM` object.
+ * @property {module:@lumjs/dom/events.Handler[]} events - Active handlers.
+ * @property {?MutationObserver} observer - Used by `autoCleanup()`.
+ * @property {Map} definitions - Events declared with `define()`.
+ * @property {boolean} devMode - Warn about undeclared event types?
+ * 
+ * Defaults to `dom.options.devMode`. See `define()` for details.
+ * 
+ * @property {?string} hotkeyScope - The current scope for `hotkey()`.
+ * 
+ * Hotkeys assigned with a `scope` option are only active when this is set
+ * to the same scope name. Hotkeys without a `scope` are always active.
+ * 
  * @exports module:@lumjs/dom/events
  */
 class Events
@@ -91,181 +429,773 @@ class Events
   {
     this.dom = dom;
     this.events = [];
+    this.observer = null;
+    this.hotkeyScope = null;
+    this.definitions = new Map();
+    this.devMode = !!dom.options?.devMode;
+    this.warned = new Set();
+
+    if (dom.options?.autoCleanup)
+    {
+      this.autoCleanup();
+    }
   }
 
   // Make a normalized event definition structure.
-  $eventDef(target, types, options, eventListener)
+  $eventDef([target, types, options, eventListener], needListener=true)
   {
     needType(S, types);
 
-    if (this.isListener(options))
+    if (this.dom.isListener(options))
     { // Reversed order.
       const temp = eventListener;
       eventListener = options;
       options = temp;
     }
-    else if (!this.isListener(eventListener))
+    else if (needListener && !this.dom.isListener(eventListener))
     {
       throw new TypeError("Invalid listener");
     }
-    
-    if (typeof options === S)
-    { // A string is considered the 'selector' option.
-      options = {selector: options};
-    }
-    else if (typeof options === B)
-    { // A boolean is considered the 'capture' option.
-      options = {capture: options};
-    }
-    else if (!isObj(options))
-    { // Empty options.
-      options = {};
-    }
 
-    if (this.dom.isNode(target))
-    { // A single node, wrap it in an array.
-      target = [target];
-    }
-    else if (!this.dom.isContainer(target))
-    { // Not a Node or a node container? 
-      throw new TypeError("target must be a Node, NodeList, or HTMLCollection");
+    options = getOptions(options);
+    target = this.$targets(target);
+
+    const suffix = eventSuffix(options);
+    const namespaces = parseTypes(types);
+    return {target, types: Object.keys(namespaces), namespaces, options, 
+      eventListener, suffix};
+  }
+
+  // Is this a call using an event map?
+  $isMap(args)
+  {
+    return isObj(args[1]);
+  }
+
+  // Make normalized event definitions from an event map.
+  $eventMap([target, map, options], needListener=true)
+  {
+    const defs = [];
+    options = getOptions(options);
+
+    for (const key in map)
+    {
+      const match = key.match(EVENT_KEY);
+      if (!match || match[1] === '')
+      {
+        throw new SyntaxError(`Invalid event map key: '${key}'`);
+      }
+
+      let value = map[key], opts = {};
+      if (Array.isArray(value))
+      { // An array of [options, listener]
+        opts = getOptions(value[0]);
+        value = value[1];
+      }
+
+      opts = Object.assign({}, options, opts);
+      if (match[2] !== undefined) opts.selector = match[2];
+      if (match[3] !== undefined) opts.capture = true;
+
+      defs.push(this.$eventDef([target, match[1], opts, value], needListener));
     }
 
-    return {target, types: types.trim().split(/\s+/), options, eventListener};
+    return defs;
   }
 
   /**
    * Assign an event handler to our current nodes.
    * 
    * @param {module:@lumjs/dom.Target} target - The target node(s).
-   * @param {string} types - A space-separated list of event types.
+   * @param {(string|object)} types - A space-separated list of event types.
+   * 
+   *   If this is an `object` it's an *event map* for assigning a bunch
+   *   of event handlers at once. Each key is the event type(s), optionally
+   *   followed by a selector in parenthesis and/or `:capture` to set the
+   *   `capture` option (the same format used for event ids internally.)
+   *   Each value is the event listener, or an `Array` of 
+   *   `[options, listener]` for options specific to that key.
+   *   The `options` parameter will be used for all of them, and the
+   *   `handler` parameter is not used.
+   * 
+   *   ```js
+   *   dom.on(list, 
+   *   {
+   *     click: onClick,
+   *     'keydown(.item)': onItemKey,
+   *     'focus:capture': [{passive: true}, onFocus],
+   *   });
+   *   ```
+   * 
+   *   Each type may have one or more namespaces added with dots,
+   *   like `click.menu` or `keydown.menu.nav`. Namespaces can be used
+   *   to remove or trigger groups of handlers without needing the
+   *   event listener. If the same type is listed more than once, 
+   *   all of its namespaces are merged.
+   * 
    * @param {object} options - Options for `addEventListener()`.
    *   In addition to the standard options, there's a few specific
    *   to this method.
    * @param {string} [options.selector] - Selector for delegation.
-   *   If this is used then the event handler will be wrapped in
-   *   a separate function that will pass this to `event.target.matches()`
-   *   to determine if the delegated event handler should be called.
+   *   If this is used then the event listener will only be called
+   *   for events from descendant elements matching the selector, 
+   *   with `this` being the matching element.
    * @param {(object|true)} [options.ctrl] Use an `AbortController`.
    *   If this is `true` then we'll create a new `AbortController` and
-   *   replace the `options.ctrl` with the new instance.
+   *   it will be available as `handler.options.ctrl`.
+   * @param {boolean} [options.once] Remove each registration after
+   *   its event listener has been called once.
+   *   
+   *   Unlike the native `once` option, this only counts calls to the
+   *   event listener, so delegated events that don't match the `selector`
+   *   (or namespaced events the handler isn't in) are not counted.
+   * 
    * @param {(function|object)} handler - The event handler.
    *   
    *   The `options` and `handler` parameters *may* be swapped.
    * 
-   * @returns {object} `this`
+   * @returns {module:@lumjs/dom/events.Handler} A handler that can be
+   * used to remove, pause, resume, or abort all of the event listeners
+   * assigned by this call.
+   * 
+   * If an event map is used, an `Array` of handlers is returned instead.
+   * 
+   * @throws {TypeError} If an event type and the options (or several
+   * options) need different [plugins]{@link module:@lumjs/dom/events.Plugin},
+   * such as `{debounce: 100}` for a `tap` event; only one can be used.
    */
   on(...args)
   {
-    const {target, types, options, eventListener} = this.$eventDef(...args);
-    
-    let listener;
-
-    if (typeof options.selector === S)
-    { // A sub-selector for delegated events.
-      const selector = options.selector;
-      const isElem = what => this.dom.isElement(what);
+    if (this.$isMap(args))
+    {
+      return this.$eventMap(args).map(eventDef => this.$on(eventDef));
+    }
+    return this.$on(this.$eventDef(args));
+  } // on()
 
-      function findDelegate(origTarget, targetElem)
-      {
-        if (!isElem(targetElem) || targetElem === origTarget) 
-        { // Was not an element, or was the original target element.
-          return null;
-        }
+  /**
+   * Assign an event handler that will only be called once.
+   * 
+   * The same as `on()` with the `once` option set to `true`.
+   * Once the event listener has been called for a node and event type,
+   * that registration is removed; when there are none left, the handler
+   * is removed entirely.
+   * 
+   * @param {...*} args - The same arguments as `on()`.
+   * @returns {(module:@lumjs/dom/events.Handler|Array)}
+   */
+  once(...args)
+  {
+    const isMap = this.$isMap(args);
+    const defs = isMap ? this.$eventMap(args) : [this.$eventDef(args)];
+    const handlers = defs.map(eventDef => 
+    {
+      eventDef.options = Object.assign({}, eventDef.options, {once: true});
+      return this.$on(eventDef);
+    });
+    return isMap ? handlers : handlers[0];
+  } // once()
 
-        if (targetElem.matches(selector))
-        { // We found a match, return it now.
-          return targetElem;
-        }
-        else
-        { // Try the parent element.
-          return findDelegate(origTarget, targetElem.parentElement);
-        }
-      }
+  // Assign an event handler using a normalized event definition.
+  $on(eventDef)
+  {
+    if (eventDef.types.includes(''))
+    {
+      throw new TypeError("Event type required");
+    }
 
-      listener = function(e)
+    for (const type of eventDef.types)
+    { // Throws before anything is assigned if plugins conflict.
+      this.$getPlugin(type, eventDef.options);
+      if (this.devMode)
       {
-        const delegate = findDelegate(this, e.target);
-        if (isElem(delegate))
-        { // Found a delegate; call the real event listener now.
-          def(e, 'captureTarget', this);
-          return eventListener.call(delegate, e);
-        }
+        this.$checkDeclared(type, eventDef.target);
       }
     }
-    else 
-    { // No sub-selector, use the real event listener.
-      listener = eventListener;
-    }
 
-    if (options.ctrl === true)
-    { // Create an AbortController, and assign its signal.
-      options.ctrl = new this.dom.window.AbortController();
+    const handler = new EventHandler(this, eventDef);
+    handler.$register();
+    if (handler.active)
+    {
+      this.events.push(handler);
     }
+    return handler;
+  }
 
-    if (isObj(options.ctrl) && options.signal === undefined)
-    { // Set the signal.
-      options.signal = options.ctrl.signal;
-    }
+  /**
+   * Wait for an event to happen.
+   * 
+   * ```js
+   * const event = await dom.events.waitFor(form, 'submit', {timeout: 5000});
+   * ```
+   * 
+   * @param {module:@lumjs/dom.Target} target - The target node(s).
+   * @param {string} types - The event type(s) to wait for.
+   * 
+   *   If more than one type is specified, the first of them to happen
+   *   will resolve the promise. Event maps are not supported.
+   * 
+   * @param {(object|string|boolean)} [options] Options for `on()`
+   *   (including the `selector` and `capture` shorthands); plus the following.
+   * @param {number} [options.timeout] Give up after this many milliseconds.
+   * @param {AbortSignal} [options.signal] Give up when this is aborted.
+   * 
+   * @returns {Promise<Event>} Resolves with the event object.
+   * 
+   *   Rejects with a `TimeoutError` if the `timeout` is reached, or with
+   *   the abort reason if the `signal` is aborted. In either case, the
+   *   event handler will be removed. Rejects right away with a `TypeError`
+   *   if no event listeners could be assigned (e.g. `target` had no nodes.)
+   */
+  waitFor(target, types, options={})
+  {
+    options = getOptions(options);
+    const {timeout, signal} = options;
+    const onOpts = Object.assign({}, options);
+    delete onOpts.timeout;
+    delete onOpts.signal;
 
-    const suffix = eventSuffix(options);
-    
-    for (const node of target)
+    return new Promise((resolve, reject) =>
     {
-      const eventData = getNodeEvents(node);
-      for (const type of types)
+      if (typeof types !== S)
+      { // Event maps would need a handler for each entry.
+        return reject(new TypeError("types must be a string (event maps are not supported)"));
+      }
+
+      if (signal?.aborted)
       {
-        const eid = type+suffix;
-        if (isObj(eventData[eid]))
-        { // An existing event using our system was already registered.
-          throw new Error("Cannot re-assign an event without removing the old one first");
-        }
-        const eventDef = new EventHandler(node, type, listener, options);
-        eventDef.on();
-        eventData[eid] = eventDef;
-        this.events.push(eventDef);
+        return reject(signal.reason);
+      }
+
+      const win = this.dom.window;
+      let timer = null;
+
+      const handler = this.on(target, types, onOpts, function(event)
+      {
+        done();
+        resolve(event);
+      });
+
+      if (!handler.active)
+      { // Nothing to wait for.
+        handler.off();
+        return reject(new TypeError(`no nodes to wait for '${types}' on`));
+      }
+
+      const onAbort = () =>
+      {
+        done();
+        reject(signal.reason);
       }
+
+      const done = () =>
+      {
+        handler.off();
+        if (timer !== null) win.clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+      }
+
+      if (typeof timeout === N)
+      {
+        timer = win.setTimeout(() =>
+        {
+          done();
+          reject(new win.DOMException(
+            `timed out waiting for '${types}'`, 'TimeoutError'));
+        }, timeout);
+      }
+
+      signal?.addEventListener('abort', onAbort, {once: true});
+    });
+  } // waitFor()
+
+  /**
+   * Declare an application event.
+   * 
+   * ```js
+   * dom.events.define('cart:updated', 
+   * {
+   *   bubbles: true, 
+   *   composed: true,
+   *   detail: {items: 'array', total: 'number', coupon: 'string?'},
+   * });
+   * ```
+   * 
+   * Declared events are built as a `CustomEvent` (unless `Events.CLASSES`
+   * says otherwise), and `build()`, `trigger()`, and `dispatch()` will use
+   * the options from the definition as defaults, and validate the `detail`
+   * against the schema, throwing a `TypeError` if it doesn't match.
+   * 
+   * If `devMode` is `true`, `on()` will warn (once per event type) about
+   * listening for event types which are not declared, not native events,
+   * and not handled by a plugin, which helps catch typos in event names.
+   * 
+   * @param {string} name - The event type.
+   * @param {object} [spec] The definition.
+   * 
+   *   Any options other than `detail` are default init options for the
+   *   event, such as `bubbles`, `cancelable`, and `composed`.
+   * 
+   * @param {(string|object|function)} [spec.detail] A schema for the detail.
+   * 
+   *   If this is a `string` it's the type of the detail: `string`, `number`,
+   *   `boolean`, `function`, `bigint`, `symbol`, `object`, `array`, or `any`.
+   *   Types ending in `?` are optional (may be `null` or `undefined`).
+   *   If this is an `object`, the detail must be an object, and each property
+   *   is a schema for the same property in the detail. If this is a 
+   *   `function`, it will be passed the detail and must return `true` if it
+   *   is valid. If not specified the detail is not validated.
+   * 
+   * @returns {object} `this`
+   * @throws {TypeError} If the name or schema is invalid.
+   */
+  define(name, spec={})
+  {
+    needType(S, name, 'name must be a string');
+    needObj(spec, 'spec must be an object');
+    if (name === '' || /[\s.]/.test(name))
+    {
+      throw new TypeError(`invalid event name '${name}'`);
+    }
+
+    const {detail, ...defaults} = spec;
+    if (detail !== undefined)
+    {
+      checkSchema(detail);
     }
 
+    this.definitions.set(name, {name, defaults, detail});
     return this;
-  } // on()
+  } // define()
+
+  // Warn about listening for an undeclared event type (in dev mode).
+  $checkDeclared(type, nodes)
+  {
+    if (this.warned.has(type)
+      || this.definitions.has(type)
+      || typeof EVENT_CLASSES[type] === S
+      || NATIVE_EVENTS.includes(type)
+      || nodes.some(node => ('on'+type) in node))
+    { // It's known, or we've already warned about it.
+      return;
+    }
+
+    this.warned.add(type);
+    console.warn(`@lumjs/dom/events: '${type}' is not a declared event`);
+  }
+
+  /**
+   * Assign a keyboard shortcut handler.
+   * 
+   * ```js
+   * dom.events.hotkey(document, 'mod+s', save);
+   * dom.events.hotkey(document, 'ctrl+shift+k, g i', openSearch, 
+   *   {scope: 'admin'});
+   * ```
+   * 
+   * The event listener is only called for `keydown` events matching one of
+   * the key combos. See [Hotkey.parse()]{@link module:@lumjs/dom/events/plugins.Hotkey.parse}
+   * for the format of the combos.
+   * 
+   * @param {module:@lumjs/dom.Target} target - The target node(s).
+   * @param {string} keys - The key combos.
+   * @param {(function|object)} eventListener - The event listener.
+   * @param {(object|string)} [options] Options for `on()`; plus the
+   * options supported by the [Hotkey]{@link module:@lumjs/dom/events/plugins.Hotkey}
+   * plugin (`scope`, `editable`, and `sequenceTime`).
+   * 
+   * @returns {module:@lumjs/dom/events.Handler} The handler; it can be
+   * removed with `off()` the same as any other.
+   * 
+   * @throws {TypeError} If the key combos are invalid.
+   */
+  hotkey(target, keys, eventListener, options={})
+  {
+    options = Object.assign({}, getOptions(options), {hotkey: keys});
+    return this.on(target, 'keydown', options, eventListener);
+  }
 
   /**
    * Remove an event handler from our current nodes.
    * 
+   * Only the registrations for the specified nodes and event types
+   * are removed; other nodes and types assigned by the same handler
+   * are not affected.
+   * 
    * @param {module:@lumjs/dom.Target} target - The target node(s).
-   * @param {string} types - A space-separated list of event types.
+   * @param {(string|object)} types - A space-separated list of event types.
+   * 
+   *   May also be an *event map*, in the same format as `on()`.
+   *   Values in the map that are not event listeners will remove
+   *   all registrations for that key.
+   * 
+   *   Namespaces may be used here as well. If a type has namespaces, only
+   *   registrations in *all* of those namespaces will be removed.
+   *   A namespace on its own (e.g. `.menu`) removes the registrations
+   *   in that namespace for every event type, and unless the `selector`
+   *   or `capture` options are specified, for every suffix as well.
+   * 
    * @param {object} options - Options for `removeEventListener()`.
    * @param {string} [options.selector] - Selector for delegation.
    *   See `on()` for more details.
-   * @param {(function|object)} handler - The event handler.
+   * @param {(function|object)} [handler] The event handler.
    *   
    *   The `options` and `handler` parameters *may* be swapped.
    * 
+   *   If specified, only registrations assigned with this event listener
+   *   will be removed. If not specified, all registrations for the event
+   *   types (with the same `selector` and `capture` options) are removed.
+   * 
    * @returns {object} `this`
    */
   off(...args)
   {
-    const {target, types, options, eventListener} = this.$eventDef(...args);
-    const suffix = eventSuffix(options);
+    const defs = this.$isMap(args) 
+      ? this.$eventMap(args, false) 
+      : [this.$eventDef(args, false)];
+
+    for (const eventDef of defs)
+    {
+      this.$off(eventDef);
+    }
+
+    return this;
+  } // off()
+
+  // Remove event handlers using a normalized event definition.
+  $off({target, namespaces, options, eventListener, suffix})
+  {
+    const listener = this.dom.isListener(eventListener) ? eventListener : null;
+
     for (const node of target)
     {
-      const eventData = getNodeEvents(node);
-      for (const type of types)
+      for (const type in namespaces)
       {
-        const eid = type+suffix;
-        if (isObj(eventData[eid]))
-        { // We found a definition.
-          eventData[eid].off();
+        const nsList = namespaces[type];
+        // A namespace on its own matches any suffix unless one was specified.
+        const sfx = (type === '' && suffix === '') ? null : suffix;
+        const regs = this.$find([node], {[type]: nsList}, sfx, listener);
+
+        for (const reg of regs)
+        {
+          reg.handler.$remove(reg);
         }
-        else if (this.isListener(eventListener))
-        { // Couldn't find a definition, we're going to try the direct method.
-          node.removeEventListener(type, eventListener, options);
+
+        if (regs.length === 0 && listener && type !== '' && nsList.length === 0)
+        { // Couldn't find a registration, we're going to try the direct method.
+          node.removeEventListener(type, listener, options);
         }
       }
     }
+  }
+
+  /**
+   * Get the handlers assigned to node(s).
+   * 
+   * @param {module:@lumjs/dom.Target} target - The target node(s).
+   * @param {string} [types] Only handlers for these event types.
+   * 
+   *   A space-separated list of event types, which may include namespaces,
+   *   the same as `off()`. If not specified, all handlers are returned.
+   * 
+   * @returns {module:@lumjs/dom/events.Handler[]} The handlers, each of
+   * which has `types`, `selector`, `namespaces`, and `options` properties,
+   * as well as a list of its `registrations`.
+   */
+  listeners(target, types)
+  {
+    const namespaces = (typeof types === S) ? parseTypes(types) : null;
+    const handlers = [];
+    for (const reg of this.$find(this.$targets(target), namespaces))
+    {
+      if (!handlers.includes(reg.handler))
+      {
+        handlers.push(reg.handler);
+      }
+    }
+    return handlers;
+  }
+
+  /**
+   * Count the active event registrations.
+   * 
+   * @param {module:@lumjs/dom.Target} [target] Only count these node(s).
+   * 
+   *   If not specified, the registrations for all handlers are counted.
+   * 
+   * @param {string} [types] Only count these event types.
+   *   Only used if `target` is specified. See `listeners()` for details.
+   * 
+   * @returns {number} The number of registrations (one for each node
+   * and event type combination.)
+   */
+  count(target, types)
+  {
+    if (target === undefined)
+    {
+      return this.events.reduce((n, h) => n + h.registrations.length, 0);
+    }
+    const namespaces = (typeof types === S) ? parseTypes(types) : null;
+    return this.$find(this.$targets(target), namespaces).length;
+  }
+
+  /**
+   * A diagnostics report from `dump()`.
+   * 
+   * @typedef {object} module:@lumjs/dom/events~Dump
+   * @prop {number} handlers - The number of active handlers.
+   * @prop {number} registrations - The number of active registrations.
+   * @prop {number} disconnected - The number of registrations on nodes
+   * that are not connected to a document.
+   * @prop {object[]} entries - An entry for each handler, with properties:
+   * 
+   * - `handler` → The `events.Handler` instance.
+   * - `types` → The event types.
+   * - `selector` → The delegation selector (or `null`).
+   * - `namespaces` → The namespaces for each event type.
+   * - `options` → The `addEventListener()` options.
+   * - `nodes` → The nodes with active registrations.
+   * - `disconnected` → Those `nodes` not connected to a document.
+   * - `leaked` → `true` if *all* of the `nodes` are disconnected.
+   */
+
+  /**
+   * Get a diagnostics report on all of the active handlers.
+   * 
+   * Handlers assigned to nodes that have been removed from the document
+   * are flagged, as they are the most likely cause of listener leaks.
+   * Note that nodes that were never added to a document are also
+   * considered disconnected.
+   * 
+   * @returns {module:@lumjs/dom/events~Dump}
+   */
+  dump()
+  {
+    const report =
+    {
+      handlers: this.events.length,
+      registrations: 0,
+      disconnected: 0,
+      entries: [],
+    };
+
+    for (const handler of this.events)
+    {
+      const nodes = [];
+      for (const reg of handler.registrations)
+      {
+        if (!nodes.includes(reg.node)) nodes.push(reg.node);
+        if (!reg.node.isConnected) report.disconnected++;
+        report.registrations++;
+      }
+
+      const disconnected = nodes.filter(node => !node.isConnected);
+
+      report.entries.push(
+      {
+        handler,
+        types: handler.types,
+        selector: handler.selector,
+        namespaces: handler.namespaces,
+        options: handler.options,
+        nodes,
+        disconnected,
+        leaked: (nodes.length > 0 && disconnected.length === nodes.length),
+      });
+    }
+
+    return report;
+  }
+
+  /**
+   * Enable or disable automatic cleanup of event handlers.
+   * 
+   * When enabled, a `MutationObserver` watches `dom.document`, and when
+   * nodes are removed from it, every registration on those nodes (or
+   * their descendants) is removed. Handlers with no registrations left
+   * are removed from `this.events` entirely.
+   * 
+   * Nodes that are moved (removed and added back before the observer
+   * is notified) are not affected, nor are nodes that were never in
+   * the document in the first place.
+   * 
+   * This is enabled automatically if the `autoCleanup` option of
+   * the parent `LumDOM` instance is `true`.
+   * 
+   * @param {boolean} [enabled=true] Enable automatic cleanup?
+   * @returns {object} `this`
+   */
+  autoCleanup(enabled=true)
+  {
+    if (enabled && this.observer === null)
+    {
+      const MO = this.dom.window.MutationObserver;
+      this.observer = new MO(records => this.$cleanupRecords(records));
+      this.observer.observe(this.dom.document, {childList: true, subtree: true});
+    }
+    else if (!enabled && this.observer !== null)
+    {
+      this.observer.disconnect();
+      this.observer = null;
+    }
     return this;
-  } // off()
+  }
+
+  /**
+   * Process any pending `autoCleanup()` mutations right away.
+   * 
+   * The `MutationObserver` is notified asynchronously, so this can be
+   * used when the cleanup must be done before continuing.
+   * 
+   * @returns {number} The number of registrations removed.
+   */
+  flushCleanup()
+  {
+    if (this.observer === null) return 0;
+    return this.$cleanupRecords(this.observer.takeRecords());
+  }
+
+  /**
+   * Remove registrations from nodes that are not connected to a document.
+   * 
+   * @param {(module:@lumjs/dom.Target|Node[])} [target] Removed node(s)
+   *   to clean up.
+   * 
+   *   Registrations on these nodes and all of their descendants will be
+   *   removed, as long as they are no longer connected. If not specified,
+   *   *every* registration on a disconnected node is removed, including
+   *   nodes that have not been added to a document yet.
+   * 
+   * @returns {number} The number of registrations removed.
+   */
+  cleanup(target)
+  {
+    const roots = (target === undefined) ? null
+      : Array.from(Array.isArray(target) ? target : this.$targets(target));
+    let removed = 0;
+
+    for (const handler of Array.from(this.events))
+    {
+      for (const reg of Array.from(handler.registrations))
+      {
+        const node = reg.node;
+        if (node.isConnected) continue;
+        if (roots !== null && !roots.some(root => root.contains(node)))
+        {
+          continue;
+        }
+        handler.$remove(reg);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  // Clean up the nodes removed in mutation records.
+  $cleanupRecords(records)
+  {
+    const removed = [];
+    for (const record of records)
+    {
+      for (const node of record.removedNodes)
+      {
+        if (!node.isConnected && !removed.includes(node))
+        {
+          removed.push(node);
+        }
+      }
+    }
+    return (removed.length > 0) ? this.cleanup(removed) : 0;
+  }
+
+  // Normalize a target into something iterable.
+  $targets(target)
+  {
+    if (this.dom.isNode(target))
+    { // A single node, wrap it in an array.
+      return [target];
+    }
+    else if (!this.dom.isContainer(target))
+    { // Not a Node or a node container? 
+      throw new TypeError("target must be a Node, NodeList, or HTMLCollection");
+    }
+    return target;
+  }
+
+  // Find registrations on nodes; `null` arguments match anything.
+  $find(nodes, namespaces=null, suffix=null, listener=null)
+  {
+    const found = [];
+    for (const node of nodes)
+    {
+      const registry = EventRegistration.forNode(node);
+      for (const eid in registry)
+      {
+        for (const reg of registry[eid])
+        {
+          if (found.includes(reg)) continue;
+          if (suffix !== null && reg.eid !== reg.type+suffix) continue;
+          if (listener !== null && reg.handler.eventListener !== listener) continue;
+          if (namespaces === null || matchTypes(reg, namespaces))
+          {
+            found.push(reg);
+          }
+        }
+      }
+    }
+    return found;
+  }
+
+  // Get the plugin class for an event type or options, if there is one.
+  // Only one plugin can be used, so it's an error if more than one applies.
+  $getPlugin(type, options={})
+  {
+    const found = [];
+
+    if (type in EVENT_CLASSES)
+    {
+      const cname = EVENT_CLASSES[type];
+      if (typeof HANDLER_PLUGINS[cname] === F)
+      {
+        found.push([HANDLER_PLUGINS[cname], `'${type}' events`]);
+      }
+    }
+
+    for (const opt in HANDLER_OPTIONS)
+    {
+      const value = options[opt];
+      if (value !== undefined && value !== null && value !== false)
+      {
+        const cname = HANDLER_OPTIONS[opt];
+        const plugIn = HANDLER_PLUGINS[cname];
+        if (typeof plugIn === F && !found.some(f => f[0] === plugIn))
+        {
+          found.push([plugIn, `the '${opt}' option`]);
+        }
+      }
+    }
+
+    if (found.length > 1)
+    {
+      throw new TypeError(`${found.map(f => f[1]).join(' and ')} use `
+        + 'different plugins, which cannot be combined');
+    }
+
+    return found.length ? found[0][0] : null;
+  }
+
+  // Remove an inactive handler from the list.
+  $prune(handler)
+  {
+    if (handler.active) return this;
+    const index = this.events.indexOf(handler);
+    if (index !== -1)
+    {
+      this.events.splice(index, 1);
+    }
+    return this;
+  }
 
   /**
    * Build a new `Event` object.
@@ -275,7 +1205,23 @@ class Events
    * `keydown` will be a `KeyboardEvent`, and so forth.
    * 
    * Any unrecognized event name will use `CustomEvent` if 
-   * `options.detail` is specified, or `Event` otherwise.
+   * `options.detail` is specified (or the event was declared with
+   * `define()`), or `Event` otherwise.
+   * 
+   * Events declared with `define()` have the default options from their
+   * definition applied, and the `detail` is validated against its schema.
+   * Event types handled by a plugin use the plugin's `eventClass`
+   * if it has one, or `CustomEvent` otherwise.
+   * If the window doesn't have the class, a fallback from `Events.FALLBACKS`
+   * is used, with the missing properties added.
+   * 
+   * For a `TouchEvent`, the `touches`, `targetTouches`, and `changedTouches`
+   * options may be arrays of `Touch` objects or plain objects, which will be
+   * converted using [ListCompiler#makeTouchList()]{@link module:@lumjs/dom/listcompiler#makeTouchList}.
+   * 
+   * If the event name has namespaces (e.g. `click.menu`), the event
+   * will have a `namespace` property with the namespaces (e.g. `menu`),
+   * and only handlers assigned in all of those namespaces will be called.
    * 
    * @param {string} type - The event name.
    * @param {object} [options] Options for the event. 
@@ -286,13 +1232,30 @@ class Events
     needType(S, type, 'type must be a string');
     needObj(options, 'options must be an object');
 
+    const namespaces = type.split('.');
+    type = namespaces.shift();
+
+    const definition = this.definitions.get(type);
+    if (definition)
+    { // Apply the defaults, and validate the detail.
+      options = Object.assign({}, definition.defaults, options);
+      if (definition.detail !== undefined)
+      {
+        const error = checkDetail(definition.detail, options.detail);
+        if (error !== null)
+        {
+          throw new TypeError(`invalid '${type}' event: ${error}`);
+        }
+      }
+    }
+
     let classname;
 
     if (type in EVENT_CLASSES)
     {
       classname = EVENT_CLASSES[type];
     }
-    else if ('detail' in options)
+    else if (definition || 'detail' in options)
     {
       classname = EVENT_CLASSES._custom;
     }
@@ -301,15 +1264,59 @@ class Events
       classname = EVENT_CLASSES._default;
     }
 
-    const eventClass 
-      = (typeof HANDLER_PLUGINS[classname] === F
-        && HANDLER_PLUGINS[classname].eventClass === F)
-      ? HANDLER_PLUGINS[classname].eventClass
-      : this.dom.window[classname];
+    if (classname === 'TouchEvent' && typeof this.dom.window.TouchEvent === F)
+    { // Arrays of touches are converted to `TouchList` objects.
+      const lc = this.dom.listCompiler;
+      options = Object.assign({}, options);
+      for (const key of TOUCH_LISTS)
+      {
+        if (Array.isArray(options[key]))
+        {
+          options[key] = lc.makeTouchList(options[key]);
+        }
+      }
+    }
+
+    let eventClass = null;
+    const missing = {};
+    
+    const plugIn = HANDLER_PLUGINS[classname];
+    if (typeof plugIn === F)
+    { // Plugin event types use the plugin's class, or CustomEvent.
+      if (typeof plugIn.eventClass === F)
+      {
+        eventClass = plugIn.eventClass;
+      }
+      else
+      {
+        classname = EVENT_CLASSES._custom;
+      }
+    }
+
+    if (eventClass === null)
+    {
+      eventClass = this.$eventClass(classname, missing);
+    }
     
     if (typeof eventClass === F)
     {
-      return new eventClass(type, options);
+      const event = new eventClass(type, options);
+      for (const prop in missing)
+      { // Add the properties the fallback class doesn't have.
+        if (!(prop in event))
+        { // Not using def() as the value may look like a descriptor.
+          Object.defineProperty(event, prop, 
+          {
+            value: options[prop] ?? missing[prop],
+            enumerable: true,
+          });
+        }
+      }
+      if (namespaces.length > 0)
+      {
+        def(event, 'namespace', namespaces.join('.'));
+      }
+      return event;
     }
     else 
     {
@@ -317,33 +1324,122 @@ class Events
     }
   } // build()
 
+  // Find an event class in the window, using fallbacks if needed.
+  // Adds the properties missing from the fallback classes to `missing`.
+  $eventClass(classname, missing)
+  {
+    const win = this.dom.window;
+    while (typeof classname === S)
+    {
+      if (typeof win[classname] === F)
+      {
+        return win[classname];
+      }
+
+      const fallback = CLASS_FALLBACKS[classname];
+      if (!isObj(fallback)) break;
+
+      for (const prop in fallback.props)
+      {
+        if (!(prop in missing))
+        {
+          missing[prop] = fallback.props[prop];
+        }
+      }
+      classname = fallback.parent;
+    }
+    return null;
+  }
+
   /**
    * Trigger an event on a set of nodes.
    * 
    * @param {module:@lumjs/dom.Target} target - The target node(s).
    * @param {(string|Event)} event - The event to trigger.
    *   If this is a `string` then we'll use `build()` to
-   *   generate an `Event` object.
+   *   generate an `Event` object. It may have namespaces to
+   *   only trigger the handlers in those namespaces.
    * @param {object} [options] Options.
    * @param {boolean} [options.newEventForEach=false]
    *   If `true` and `event` is a `string` we'll generate a new
    *   `Event` object for each node. If `false` and `event` is
    *   a `string` then we'll generate a single `Event` and use it
-   *   for each node. Has no effect at all if `event` is an `Event`. 
+   *   for each node. If `true` and `event` is an `Event`, it is used
+   *   for the first node, and a copy of it for each of the others.
    * 
    * @returns {object} `this`
+   * 
+   * @see {@link module:@lumjs/dom/events#dispatch} if you need to know
+   * if the event was cancelled.
    */
   trigger(target, event, options={})
   {
-    if (this.dom.isNode(target))
-    { // A single node, wrap it in an array.
-      target = [target];
+    this.$dispatch(target, event, options);
+    return this;
+  } // trigger()
+
+  /**
+   * Dispatch an event on a set of nodes, and report the results.
+   * 
+   * Like `trigger()`, but returns the results for each node, so listeners
+   * can veto an action by calling `event.preventDefault()`:
+   * 
+   * ```js
+   * dom.events.dispatch(form, 'before-save', 
+   * {
+   *   detail: record,
+   *   onDefault: () => save(record),
+   * });
+   * ```
+   * 
+   * @param {module:@lumjs/dom.Target} target - The target node(s).
+   * @param {(string|Event)} event - The event to dispatch.
+   *   The same as `trigger()`.
+   * @param {object} [options] Options.
+   *   The same as `trigger()`, with the following changes.
+   * @param {boolean} [options.newEventForEach=true]
+   *   Defaults to `true`, as once an event has been cancelled it cannot
+   *   be un-cancelled, so sharing an event would cancel it for every node.
+   * @param {boolean} [options.cancelable=true]
+   *   Built events can be cancelled by default (unless they were declared
+   *   with `define()` and a different `cancelable` option).
+   * @param {function} [options.onDefault] Called for each node where the
+   *   event was not cancelled; will be passed `(node, event)`.
+   * 
+   * @returns {object[]} An `Array` with a result object for each node,
+   *   with `node`, `event`, and `cancelled` properties.
+   */
+  dispatch(target, event, options={})
+  {
+    needObj(options, 'options must be an object');
+    const defaults = {newEventForEach: true, cancelable: true};
+    if (typeof event === S)
+    { // Defined events have their own defaults.
+      Object.assign(defaults, this.definitions.get(event.split('.')[0])?.defaults);
     }
-    else if (!this.dom.isContainer(target))
-    { // Not a Node or a node container? 
-      throw new TypeError("target must be a Node, NodeList, or HTMLCollection");
+    options = Object.assign(defaults, options);
+
+    const results = this.$dispatch(target, event, options);
+
+    if (typeof options.onDefault === F)
+    {
+      for (const res of results)
+      {
+        if (!res.cancelled)
+        {
+          options.onDefault.call(res.node, res.node, res.event);
+        }
+      }
     }
 
+    return results;
+  } // dispatch()
+
+  // Dispatch an event to each target node, returning the results.
+  $dispatch(target, event, options)
+  {
+    target = this.$targets(target);
+
     if (typeof event === S)
     { 
       if (!options.newEventForEach)
@@ -356,6 +1452,7 @@ class Events
       throw new TypeError("event must be a string or an Event object");
     }
 
+    const results = [];
     for (const node of target)
     {
       let evObj;
@@ -363,90 +1460,52 @@ class Events
       { // Build a separate event object for each node.
         evObj = this.build(event, options);
       }
+      else if (options.newEventForEach && results.length > 0)
+      { // A copy of the event for every node after the first.
+        evObj = this.$copyEvent(event);
+      }
       else
       { // Use the same event object for each.
         evObj = event;
       }
 
       // Okay, dispatch now.
-      node.dispatchEvent(evObj);
+      const cancelled = !node.dispatchEvent(evObj);
+      results.push({node, event: evObj, cancelled});
     }
 
-    return this;
-  } // trigger()
-
-} // class Events
-
-module.exports = Events;
+    return results;
+  }
 
-/**
- * An internal class used by `Events` to keep track of
- * event handlers its assigned. Not generally useful for outside code.
- * @alias module:@lumjs/dom/events.Handler
- */
-class EventHandler 
-{
-  constructor(node, type, listener, options)
+  // Make a new event object with the same type and properties.
+  $copyEvent(event)
   {
-    this.node = node;
-    this.type = type;
-    this.listener = listener;
-    this.options = options;
-
-    if (type in EVENT_CLASSES)
-    {
-      const cname = EVENT_CLASSES[type];
-      if (cname in HANDLER_PLUGINS)
+    // Event init options have the same names as the event properties.
+    const copy = new event.constructor(event.type, event);
+    const props = Object.getOwnPropertyDescriptors(event);
+    for (const prop in props)
+    { // Properties added to the event object (e.g. by `build()` fallbacks.)
+      if (!(prop in copy))
       {
-        const plugIn = HANDLER_PLUGINS[cname];
-        this.plugin = new plugIn(this);
+        Object.defineProperty(copy, prop, props[prop]);
       }
     }
+    return copy;
   }
 
-  on()
-  {
-    if (isObj(this.plugin) && typeof this.plugin.on === F)
-    { 
-      this.plugin.on();
-    }
-    else 
-    { 
-      this.node.addEventListener(this.type, this.listener, this.options);
-    }
-
-    return this;
-  }
-
-  off()
-  {
-    if (isObj(this.plugin) && typeof this.plugin.off === F)
-    { 
-      this.plugin.off();
-    }
-    else
-    {
-      this.node.removeEventListener(this.type, this.listener, this.options);
-    }
-
-    return this;
-  }
-
-  abort()
-  {
-    if (isObj(this.options.ctrl) && typeof this.options.ctrl.abort === F)
-    {
-      this.options.ctrl.abort();
-    }
-
-    return this;
-  }
+} // class Events
 
-}
+module.exports = Events;
 
 def(Events)
   ('Handler', EventHandler)
+  ('Registration', EventRegistration)
   ('CLASSES', EVENT_CLASSES)
-  ('PLUGINS', HANDLER_PLUGINS);
+  ('FALLBACKS', CLASS_FALLBACKS)
+  ('PLUGINS', HANDLER_PLUGINS)
+  ('OPTIONS', HANDLER_OPTIONS);
 
 lazy(Events, 'Plugin', () => require('./plugin'));
+
+// Register the bundled plugins.
+require('./plugins');
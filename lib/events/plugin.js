@@ -1,5 +1,5 @@
 const core = require('@lumjs/core');
-const {S,def} = core.types;
+const {S,lazy} = core.types;
 
 /**
  * A simple abstract base class for event handler plugins.
@@ -12,6 +12,16 @@ const {S,def} = core.types;
  * manually call `MyPluginClass.registerEvents(listOfEvents);` to register
  * the event types handled by this plugin.
  * 
+ * @prop {Array} knownOptions - A flat list of `on()` option names this
+ * plugin handles.
+ * 
+ * For plugins that change *how* events are handled rather than adding
+ * new event types. If an event type doesn't have a plugin of its own, 
+ * and one of these options is set (to anything other than `false`), this
+ * plugin will be used. Only one plugin is used for each registration;
+ * if an event type and option (or two options) need different plugins,
+ * `events.on()` throws a `TypeError`.
+ * 
  * @prop {function} eventClass - The constructor for an `Event` sub-class.
  * 
  * The sub-class specified here will be used by `events#build()` to create
@@ -19,7 +29,8 @@ const {S,def} = core.types;
  * specified event type.
  * 
  * This is an only needed if you have a custom event class, or want to force
- * the use of a certain event class. In most cases you won't need this.
+ * the use of a certain event class. If not specified, event types handled
+ * by the plugin will use `CustomEvent`.
  * 
  * @alias module:@lumjs/dom/events.Plugin
  */
@@ -29,18 +40,36 @@ class EventsPlugin
    * Create an event plugin instance.
    * 
    * This is generally not called by outside code.
-   * It will be called when an event handler instance is created if the
+   * It will be called when an event registration is created if the
    * specified event type has a plugin class associated with it.
    * 
-   * @param {module:@lumjs/dom/events.Handler} handler
+   * @param {module:@lumjs/dom/events.Registration} registration
    */
-  constructor(handler)
+  constructor(registration)
   {
     /**
-     * The handler instance using this plugin.
-     * @type {module:@lumjs/dom/events.Handler}
+     * The node/event registration using this plugin.
+     * @type {module:@lumjs/dom/events.Registration}
      */
-    this.handler = handler;
+    this.registration = registration;
+  }
+
+  /**
+   * The handler that owns the registration.
+   * @type {module:@lumjs/dom/events.Handler}
+   */
+  get handler()
+  {
+    return this.registration.handler;
+  }
+
+  /**
+   * The parent `LumDOM` instance.
+   * @type {module:@lumjs/dom}
+   */
+  get dom()
+  {
+    return this.registration.handler.dom;
   }
 
   /**
@@ -49,18 +78,20 @@ class EventsPlugin
    * This is a shortcut for:
    * 
    * ```js
-   * MyPluginClass.register();
+   * MyPluginClass.registerPlugin();
    * MyPluginClass.registerEvents(MyPluginClass.knownEvents, false);
+   * MyPluginClass.registerOptions(MyPluginClass.knownOptions, false);
    * ```
    * 
    * So it's generally *most useful* if your class has a
-   * `knownEvents` static property/getter defined.
+   * `knownEvents` or `knownOptions` static property/getter defined.
    * 
    */
   static register()
   {
     this.registerPlugin();
     this.registerEvents(this.knownEvents, false);
+    this.registerOptions(this.knownOptions, false);
     return this;
   }
 
@@ -88,7 +119,7 @@ class EventsPlugin
    */
   static registerPlugin()
   {
-    Events.PLUGINS[this.name] = this;
+    EventsPlugin.Events.PLUGINS[this.name] = this;
     return this;
   }
 
@@ -123,7 +154,7 @@ class EventsPlugin
 
     if (Array.isArray(events))
     {
-      Events.CLASSES.$add(this.name, ...events);
+      EventsPlugin.Events.CLASSES.$add(this.name, ...events);
     }
     else if (fatal)
     {
@@ -134,23 +165,65 @@ class EventsPlugin
   }
 
   /**
-   * A custom handler for `event.on()` calls for events using this plugin.
+   * Register `on()` options to use this plugin.
+   * 
+   * This adds the specified option names to the global `Events.OPTIONS`
+   * registry object with this plugin's name as its associated class.
+   * 
+   * @param {(Array|string)} options - Option names to register.
+   * 
+   * Same format as the `events` parameter of `registerEvents()`.
+   * 
+   * @param {bool} [fatal=true] Is the absense of options an error?
+   * 
+   * @throws {TypeError} If `fatal` is `true` and no valid options specified.
+   */
+  static registerOptions(options, fatal=true)
+  {
+    if (typeof options === S)
+    {
+      options = options.trim().split(/\s+/);
+    }
+
+    if (Array.isArray(options))
+    {
+      for (const opt of options)
+      {
+        EventsPlugin.Events.OPTIONS[opt] = this.name;
+      }
+    }
+    else if (fatal)
+    {
+      throw new TypeError("options was not a string or an array");
+    }
+
+    return this;
+  }
+
+  /**
+   * A custom handler for `registration.on()` calls for events using this plugin.
    * @function module:@lumjs/dom/events.Plugin#on
    * 
    * This is an optional instance method that can be implemented
-   * in an event plugin class to handle `events~EventHandler.on()`,
-   * which is called whenever `events.on()` is used to assign events.
+   * in an event plugin class to handle `events.Registration#on()`,
+   * which is called for every node and event type whenever `events.on()`
+   * is used to assign events.
+   * 
+   * The `registration.node`, `registration.type`, `registration.listener`,
+   * and `registration.options` properties have everything you'd need
+   * to assign the event listener(s) your plugin needs.
    * 
    * If not defined, the default `addEventListener(...)` will be used.
    */
 
   /**
-   * A custom handler for `event.off()` calls for events using this plugin.
+   * A custom handler for `registration.off()` calls for events using this plugin.
    * @function module:@lumjs/dom/events.Plugin#off
    * 
    * This is an optional instance method that can be implemented
-   * in an event plugin class to handle `events~EventHandler.off()`,
-   * which is called whenever `events.off()` is used to assign events.
+   * in an event plugin class to handle `events.Registration#off()`,
+   * which is called whenever `events.off()` or `handler.off()` is used
+   * to remove events.
    * 
    * If not defined, the default `removeEventListener(...)` will be used.
    */
@@ -158,5 +231,5 @@ class EventsPlugin
 
 module.exports = EventsPlugin;
 
-const Events = require('./index');
-def(EventsPlugin, 'Events', Events);
+// Loaded lazily, as the `events` module loads the bundled plugins.
+lazy(EventsPlugin, 'Events', () => require('./index'));
@@ -0,0 +1,193 @@
+const core = require('@lumjs/core');
+const {N} = core.types;
+const Plugin = require('../plugin');
+
+// The delay used if the option is `true` (or not a number).
+const DEFAULT_DELAY = 250;
+
+/**
+ * An abstract base class for the timer-based plugins.
+ *
+ * The native event listener is assigned by the plugin, which then
+ * decides when to pass the events on to the handler.
+ *
+ * @alias module:@lumjs/dom/events/plugins.TimedPlugin
+ */
+class TimedPlugin extends Plugin
+{
+  /**
+   * Create a plugin instance.
+   * @param {module:@lumjs/dom/events.Registration} registration
+   */
+  constructor(registration)
+  {
+    super(registration);
+    this.timer = null;
+    this.listener = event => this.$handle(event);
+  }
+
+  /**
+   * The name of the option with the delay; set by sub-classes.
+   * @type {string}
+   */
+  static get optionName()
+  {
+    return this.knownOptions[0];
+  }
+
+  /**
+   * The delay in milliseconds.
+   *
+   * From the handler option named by `optionName`.
+   * If the option is not a number, the default is `250`.
+   *
+   * @type {number}
+   */
+  get delay()
+  {
+    const value = this.registration.options[this.constructor.optionName];
+    return (typeof value === N) ? value : DEFAULT_DELAY;
+  }
+
+  on()
+  {
+    const reg = this.registration;
+    reg.node.addEventListener(reg.eventType, this.listener, reg.options);
+  }
+
+  off()
+  {
+    const reg = this.registration;
+    reg.node.removeEventListener(reg.eventType, this.listener, reg.options);
+    this.cancel();
+  }
+
+  /**
+   * Cancel any pending call.
+   * @returns {object} `this`
+   */
+  cancel()
+  {
+    if (this.timer !== null)
+    {
+      this.dom.window.clearTimeout(this.timer);
+      this.timer = null;
+    }
+    return this;
+  }
+
+  // Should an event be handled at all?
+  $accepts(event)
+  {
+    const handler = this.handler;
+    if (handler.paused) return false;
+    if (handler.selector === null) return true;
+    // Events from other elements must not affect the timer.
+    return (handler.$findDelegate(this.registration.node, event.target) !== null);
+  }
+
+  // Start the timer.
+  $wait(callback)
+  {
+    if (!this.registration.active) return; // Removed by a `once` handler.
+    this.timer = this.dom.window.setTimeout(() =>
+    {
+      this.timer = null;
+      callback();
+    }, this.delay);
+  }
+
+  // Pass an event on to the handler.
+  $call(event)
+  {
+    return this.handler.handleEvent(event, this.registration);
+  }
+
+}
+
+/**
+ * A plugin that debounces events.
+ *
+ * Used if the `debounce` option is passed to `events.on()`.
+ * The listener is only called once no more events have happened
+ * for the `debounce` delay, with the last event.
+ *
+ * ```js
+ * dom.on(input, 'input', {debounce: 300}, search);
+ * ```
+ *
+ * @alias module:@lumjs/dom/events/plugins.Debounced
+ */
+class Debounced extends TimedPlugin
+{
+  static get knownOptions() { return ['debounce']; }
+
+  $handle(event)
+  {
+    if (!this.$accepts(event)) return;
+    this.cancel();
+    this.$wait(() => this.$call(event));
+  }
+}
+
+/**
+ * A plugin that throttles events.
+ *
+ * Used if the `throttle` option is passed to `events.on()`.
+ * The listener is called right away for the first event, and then
+ * at most once per `throttle` delay, with the last event that happened
+ * during the delay.
+ *
+ * ```js
+ * dom.on(document, 'scroll', {throttle: 100}, update);
+ * ```
+ *
+ * @alias module:@lumjs/dom/events/plugins.Throttled
+ */
+class Throttled extends TimedPlugin
+{
+  static get knownOptions() { return ['throttle']; }
+
+  constructor(registration)
+  {
+    super(registration);
+    this.pending = null;
+  }
+
+  $handle(event)
+  {
+    if (!this.$accepts(event)) return;
+    if (this.timer === null)
+    { // Call right away, then wait.
+      this.$call(event);
+      this.$next();
+    }
+    else
+    { // Save the latest event for the end of the delay.
+      this.pending = event;
+    }
+  }
+
+  // Wait for the delay, then call with the pending event (if any).
+  $next()
+  {
+    this.$wait(() =>
+    {
+      if (this.pending !== null)
+      {
+        const event = this.pending;
+        this.pending = null;
+        this.$call(event);
+        this.$next();
+      }
+    });
+  }
+
+  cancel()
+  {
+    this.pending = null;
+    return super.cancel();
+  }
+}
+
+module.exports = {TimedPlugin, Debounced, Throttled, DEFAULT_DELAY};
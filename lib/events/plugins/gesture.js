@@ -0,0 +1,122 @@
+const Plugin = require('../plugin');
+const PointerTracker = require('./pointer');
+
+// The plugin instance that dispatched a gesture event.
+const SOURCE = Symbol('LumDomGestureSource');
+
+/**
+ * An abstract base class for gesture plugins.
+ *
+ * Each plugin instance subscribes to the
+ * [PointerTracker]{@link module:@lumjs/dom/events/plugins.PointerTracker}
+ * for its node, and uses `emit()` to dispatch the gesture event when
+ * it recognizes one. Sub-classes implement the tracker's subscriber
+ * methods (`start`, `move`, `end`, `cancel`).
+ *
+ * The gesture events bubble, so they may be delegated, and they can be
+ * dispatched manually with `events.trigger()` as well.
+ *
+ * @alias module:@lumjs/dom/events/plugins.GesturePlugin
+ */
+class GesturePlugin extends Plugin
+{
+  /**
+   * Create a plugin instance.
+   * @param {module:@lumjs/dom/events.Registration} registration
+   */
+  constructor(registration)
+  {
+    super(registration);
+    this.tracker = null;
+    this.listener = event => this.$handle(event);
+  }
+
+  /**
+   * Get an option from the handler, or a default value.
+   *
+   * @param {string} name - The option name.
+   * @param {*} defValue - The default value.
+   * @returns {*}
+   */
+  option(name, defValue)
+  {
+    const value = this.registration.options[name];
+    return (typeof value === typeof defValue) ? value : defValue;
+  }
+
+  /**
+   * How far a pointer has moved since it was pressed.
+   *
+   * @param {object} pointer - A pointer from the tracker.
+   * @returns {number} The distance in pixels.
+   */
+  moved(pointer)
+  {
+    return Math.hypot(pointer.x - pointer.startX, pointer.y - pointer.startY);
+  }
+
+  on()
+  {
+    const reg = this.registration;
+    reg.node.addEventListener(reg.eventType, this.listener, reg.options);
+    this.tracker = PointerTracker.get(reg.node).subscribe(this);
+  }
+
+  off()
+  {
+    const reg = this.registration;
+    reg.node.removeEventListener(reg.eventType, this.listener, reg.options);
+    if (this.tracker)
+    {
+      this.tracker.unsubscribe(this);
+      this.tracker = null;
+    }
+    this.reset();
+  }
+
+  /**
+   * Forget about any gesture in progress.
+   *
+   * Sub-classes should extend this if they have any state.
+   *
+   * @returns {object} `this`
+   */
+  reset()
+  {
+    return this;
+  }
+
+  /**
+   * Dispatch a gesture event.
+   *
+   * @param {string} type - The event type.
+   * @param {Element} target - The element to dispatch the event on.
+   * @param {object} detail - The `detail` property for the event.
+   * @returns {boolean} The return value from `dispatchEvent()`.
+   */
+  emit(type, target, detail)
+  {
+    const event = this.handler.events.build(type,
+    {
+      bubbles: true,
+      cancelable: true,
+      detail,
+    });
+    event[SOURCE] = this;
+    return target.dispatchEvent(event);
+  }
+
+  // Handle a gesture event.
+  $handle(event)
+  {
+    const source = event[SOURCE];
+    if (source !== undefined && source !== this)
+    { // Every plugin instance dispatches its own events.
+      return;
+    }
+    return this.handler.handleEvent(event, this.registration);
+  }
+
+} // GesturePlugin class
+
+module.exports = GesturePlugin;
@@ -0,0 +1,309 @@
+const core = require('@lumjs/core');
+const {S,N,F,def} = core.types;
+const Plugin = require('../plugin');
+
+// Modifier names, and the `KeyboardEvent` property for each.
+const MODIFIERS =
+{
+  ctrl: 'ctrlKey',
+  control: 'ctrlKey',
+  shift: 'shiftKey',
+  alt: 'altKey',
+  option: 'altKey',
+  meta: 'metaKey',
+  cmd: 'metaKey',
+  command: 'metaKey',
+  super: 'metaKey',
+};
+
+// Alternative key names, and the `KeyboardEvent.key` they match.
+const KEY_ALIASES =
+{
+  esc: 'escape',
+  return: 'enter',
+  space: ' ',
+  spacebar: ' ',
+  plus: '+',
+  comma: ',',
+  del: 'delete',
+  ins: 'insert',
+  up: 'arrowup',
+  down: 'arrowdown',
+  left: 'arrowleft',
+  right: 'arrowright',
+};
+
+// The unshifted `KeyboardEvent.key` for punctuation `code` values.
+const CODE_KEYS =
+{
+  Backquote: '`',
+  Minus: '-',
+  Equal: '=',
+  BracketLeft: '[',
+  BracketRight: ']',
+  Backslash: '\\',
+  Semicolon: ';',
+  Quote: "'",
+  Comma: ',',
+  Period: '.',
+  Slash: '/',
+};
+
+// The `KeyboardEvent.key` values for modifier keys themselves.
+const MODIFIER_KEYS = ['shift', 'control', 'alt', 'meta', 'altgraph', 'os'];
+
+// Elements that keyboard shortcuts are ignored in by default.
+const EDITABLE_TAGS = ['INPUT', 'TEXTAREA', 'SELECT'];
+
+/**
+ * A plugin for keyboard shortcuts.
+ *
+ * Used if the `hotkey` option is passed to `events.on()`, which is
+ * what [Events#hotkey()]{@link module:@lumjs/dom/events#hotkey} does.
+ * The listener is only called for `keydown` events matching one of
+ * the key combos.
+ *
+ * Supported handler options:
+ *
+ * - `hotkey` → The key combos; see `Hotkey.parse()` for the format.
+ * - `scope` → Only call the listener when `events.hotkeyScope` is this.
+ * - `editable` → If `true`, also call the listener for events from
+ *   editable elements (`input`, `textarea`, `select`, and elements with
+ *   `contenteditable`), which are ignored by default.
+ * - `sequenceTime` → The longest pause between the keys in a sequence,
+ *   in milliseconds (default `1000`).
+ *
+ * The event passed to the listener will have a `hotkey` property with
+ * the key combo (as it was written) that matched.
+ *
+ * @alias module:@lumjs/dom/events/plugins.Hotkey
+ */
+class Hotkey extends Plugin
+{
+  static get knownOptions() { return ['hotkey']; }
+
+  /**
+   * Create a plugin instance.
+   * @param {module:@lumjs/dom/events.Registration} registration
+   */
+  constructor(registration)
+  {
+    super(registration);
+    const nav = this.dom.window.navigator;
+    this.combos = Hotkey.parse(registration.options.hotkey, Hotkey.isMac(nav));
+    this.longest = Math.max(...this.combos.map(combo => combo.steps.length));
+    this.pressed = [];
+    this.listener = event => this.$handle(event);
+  }
+
+  on()
+  {
+    const reg = this.registration;
+    reg.node.addEventListener(reg.eventType, this.listener, reg.options);
+  }
+
+  off()
+  {
+    const reg = this.registration;
+    reg.node.removeEventListener(reg.eventType, this.listener, reg.options);
+    this.pressed = [];
+  }
+
+  // Handle a keyboard event.
+  $handle(event)
+  {
+    const options = this.registration.options;
+
+    if (typeof options.scope === S && options.scope !== this.handler.events.hotkeyScope)
+    { // Not in the current scope.
+      return;
+    }
+
+    if (!options.editable && Hotkey.isEditable(event.target))
+    { // Typing in a form field.
+      return;
+    }
+
+    if (typeof event.key !== S || MODIFIER_KEYS.includes(event.key.toLowerCase()))
+    { // Modifier keys on their own never match.
+      return;
+    }
+
+    // Remember the recent keys, for sequences.
+    const now = Date.now();
+    const delay = (typeof options.sequenceTime === N) ? options.sequenceTime : 1000;
+    const last = this.pressed[this.pressed.length-1];
+    if (last && now - last.time > delay)
+    {
+      this.pressed = [];
+    }
+    this.pressed.push({event, time: now});
+    if (this.pressed.length > this.longest)
+    {
+      this.pressed.shift();
+    }
+
+    for (const combo of this.combos)
+    {
+      const steps = combo.steps;
+      const offset = this.pressed.length - steps.length;
+      if (offset < 0) continue;
+
+      if (steps.every((step, i) => Hotkey.matches(step, this.pressed[offset+i].event)))
+      {
+        this.pressed = [];
+        def(event, 'hotkey', combo.text);
+        return this.handler.handleEvent(event, this.registration);
+      }
+    }
+  }
+
+  /**
+   * Parse a string of key combos.
+   *
+   * - Multiple combos are separated by commas: `ctrl+s, meta+s`
+   * - The keys in a combo are separated by `+`: `ctrl+shift+k`
+   * - A sequence of combos is separated by spaces: `g i`
+   *
+   * Modifiers are `ctrl`, `shift`, `alt` (or `option`), `meta`
+   * (or `cmd`), and `mod`, which is `meta` on Apple devices,
+   * and `ctrl` on everything else.
+   *
+   * Keys are matched against the `key` property of the event, ignoring
+   * case (so `shift+k` works). With `shift` or `alt` (which change the
+   * key), or if the key isn't a printable character, the `code` property
+   * is checked for letters, digits, and punctuation (so `shift+/` works.) A symbol that needs shift to be
+   * typed matches without `shift` as well (so `?` and `mod+plus` work.)
+   * A few aliases such as `esc`, `space`, `up`, `plus`, and
+   * `comma` are supported, the latter two as `+` and `,` are separators.
+   *
+   * @param {string} keys - The key combos.
+   * @param {boolean} [isMac=false] Use `meta` for `mod`?
+   * @returns {object[]} The parsed combos; each has a `text` property with
+   * the combo as written, and a `steps` array of the keys to press.
+   * @throws {TypeError} If `keys` is not a valid string.
+   */
+  static parse(keys, isMac=false)
+  {
+    if (typeof keys !== S || keys.trim() === '')
+    {
+      throw new TypeError("hotkey must be a non-empty string");
+    }
+
+    const combos = [];
+    for (let text of keys.split(','))
+    {
+      text = text.trim();
+      if (text === '') continue;
+      const steps = text.split(/\s+/).map(step => parseStep(step, isMac, keys));
+      combos.push({text, steps});
+    }
+    return combos;
+  }
+
+  /**
+   * Does a `keydown` event match a parsed key combo step?
+   *
+   * @param {object} step - A step from `Hotkey.parse()`.
+   * @param {KeyboardEvent} event - The event.
+   * @returns {boolean}
+   */
+  static matches(step, event)
+  {
+    for (const prop of ['ctrlKey', 'altKey', 'metaKey'])
+    {
+      if (!!event[prop] !== step[prop]) return false;
+    }
+
+    const key = event.key.toLowerCase();
+    if (!!event.shiftKey !== step.shiftKey)
+    { // Symbols like `?` or `+` may need shift to be typed at all.
+      return (event.shiftKey && key === step.key && isSymbol(key));
+    }
+
+    if (key === step.key) return true;
+
+    // Shift and alt change the key, so try the physical key as well;
+    // but otherwise the key wins, as the layout may not be QWERTY.
+    if (!step.shiftKey && !step.altKey && key.length === 1) return false;
+    const code = event.code ?? '';
+    const found = /^(?:Key|Digit)(.)$/.exec(code);
+    if (found !== null) return (found[1].toLowerCase() === step.key);
+    return (CODE_KEYS[code] === step.key);
+  }
+
+  /**
+   * Is a navigator on an Apple device (where `mod` means `meta`)?
+   * @param {?Navigator} nav - The `window.navigator` object.
+   * @returns {boolean}
+   */
+  static isMac(nav)
+  {
+    const platform = nav?.userAgentData?.platform ?? nav?.platform ?? '';
+    return /mac|iphone|ipad|ipod/i.test(platform);
+  }
+
+  /**
+   * Is an element editable (a form field or `contenteditable`)?
+   * @param {?Element} elem - The element.
+   * @returns {boolean}
+   */
+  static isEditable(elem)
+  {
+    if (!elem || typeof elem.closest !== F) return false;
+    return (EDITABLE_TAGS.includes(elem.tagName)
+      || elem.isContentEditable === true
+      || elem.closest('[contenteditable]:not([contenteditable="false"])') !== null);
+  }
+
+} // Hotkey class
+
+module.exports = Hotkey;
+
+// Is a key a symbol (which may need shift to be typed)?
+function isSymbol(key)
+{
+  return (key.length === 1 && key !== ' '
+    && key.toLowerCase() === key.toUpperCase());
+}
+
+// Parse a single step of a key combo (e.g. `ctrl+shift+k`).
+function parseStep(step, isMac, keys)
+{
+  const parsed = {ctrlKey: false, shiftKey: false, altKey: false, metaKey: false};
+  let key = null;
+
+  for (let name of step.toLowerCase().split('+'))
+  {
+    if (name === '')
+    {
+      throw new TypeError(`invalid hotkey '${keys}' (use 'plus' for +)`);
+    }
+
+    if (name === 'mod')
+    {
+      name = isMac ? 'meta' : 'ctrl';
+    }
+
+    if (name in MODIFIERS)
+    {
+      parsed[MODIFIERS[name]] = true;
+    }
+    else if (key === null)
+    {
+      key = KEY_ALIASES[name] ?? name;
+    }
+    else
+    {
+      throw new TypeError(`invalid hotkey '${keys}' (more than one key)`);
+    }
+  }
+
+  if (key === null)
+  {
+    throw new TypeError(`invalid hotkey '${keys}' (no key)`);
+  }
+
+  parsed.key = key;
+  return parsed;
+}
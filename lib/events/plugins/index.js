@@ -0,0 +1,38 @@
+/**
+ * The bundled event plugins.
+ *
+ * These are registered automatically when the `events` module is loaded.
+ *
+ * - `debounce` option → [Debounced]{@link module:@lumjs/dom/events/plugins.Debounced}
+ * - `throttle` option → [Throttled]{@link module:@lumjs/dom/events/plugins.Throttled}
+ * - `longpress` event → [LongPress]{@link module:@lumjs/dom/events/plugins.LongPress}
+ * - `tap` event → [Tap]{@link module:@lumjs/dom/events/plugins.Tap}
+ * - `swipeleft`, `swiperight`, `swipeup`, `swipedown` events →
+ *   [Swipe]{@link module:@lumjs/dom/events/plugins.Swipe}
+ * - `pinch` event → [Pinch]{@link module:@lumjs/dom/events/plugins.Pinch}
+ * - `hotkey` option → [Hotkey]{@link module:@lumjs/dom/events/plugins.Hotkey}
+ *
+ * @exports module:@lumjs/dom/events/plugins
+ */
+const {TimedPlugin, Debounced, Throttled} = require('./debounce');
+const PointerTracker = require('./pointer');
+const GesturePlugin = require('./gesture');
+const LongPress = require('./longpress');
+const Tap = require('./tap');
+const Swipe = require('./swipe');
+const Pinch = require('./pinch');
+const Hotkey = require('./hotkey');
+
+Debounced.register();
+Throttled.register();
+LongPress.register();
+Tap.register();
+Swipe.register();
+Pinch.register();
+Hotkey.register();
+
+module.exports =
+{
+  TimedPlugin, Debounced, Throttled,
+  PointerTracker, GesturePlugin, LongPress, Tap, Swipe, Pinch, Hotkey,
+};
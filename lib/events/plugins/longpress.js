@@ -0,0 +1,91 @@
+const GesturePlugin = require('./gesture');
+
+/**
+ * A plugin for the `longpress` event.
+ *
+ * Dispatched when a pointer is pressed and held without moving for
+ * a delay. Works with mouse, touch, and pen pointers.
+ *
+ * ```js
+ * dom.on(list, 'longpress', {selector: 'li', delay: 800}, showMenu);
+ * ```
+ *
+ * Supported handler options:
+ *
+ * - `delay` → How long to hold the pointer in milliseconds (default `500`).
+ * - `tolerance` → How far the pointer may move in pixels (default `10`).
+ *
+ * The event is a `CustomEvent` dispatched on the element that was pressed,
+ * with a `detail` object with `pointerType`, `x`, `y`, and `delay`
+ * properties. Pressing a second pointer (e.g. a second finger) cancels it.
+ *
+ * @alias module:@lumjs/dom/events/plugins.LongPress
+ */
+class LongPress extends GesturePlugin
+{
+  static get knownEvents() { return ['longpress']; }
+
+  constructor(registration)
+  {
+    super(registration);
+    this.pointer = null;
+    this.timer = null;
+  }
+
+  start(pointer, event, tracker)
+  {
+    this.reset();
+    if (tracker.pointers.size > 1) return;
+
+    const delay = this.option('delay', 500);
+    this.pointer = pointer;
+    this.timer = this.dom.window.setTimeout(() =>
+    {
+      this.timer = null;
+      this.pointer = null;
+      this.emit('longpress', pointer.target,
+      {
+        pointerType: pointer.type,
+        x: pointer.x,
+        y: pointer.y,
+        delay,
+      });
+    }, delay);
+  }
+
+  move(pointer)
+  {
+    if (pointer !== this.pointer) return;
+    if (this.moved(pointer) > this.option('tolerance', 10))
+    {
+      this.reset();
+    }
+  }
+
+  end(pointer)
+  {
+    if (pointer === this.pointer)
+    {
+      this.reset();
+    }
+  }
+
+  cancel(pointer)
+  {
+    this.end(pointer);
+  }
+
+  reset()
+  {
+    if (this.timer !== null)
+    {
+      this.dom.window.clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.pointer = null;
+    return this;
+  }
+
+} // LongPress class
+
+module.exports = LongPress;
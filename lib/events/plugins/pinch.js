@@ -0,0 +1,104 @@
+const GesturePlugin = require('./gesture');
+
+// The distance between two pointers.
+const spread = (p1, p2) => Math.hypot(p2.x - p1.x, p2.y - p1.y);
+
+/**
+ * A plugin for the `pinch` event.
+ *
+ * Dispatched every time either pointer moves while two pointers
+ * (usually fingers) are pressed on the node.
+ *
+ * Supported handler options:
+ *
+ * - `tolerance` → How far the pointers must spread or pinch in pixels
+ *   before the first event is dispatched (default `10`).
+ *
+ * The event is a `CustomEvent` dispatched on the element the first pointer
+ * was pressed on, with a `detail` object with the following properties:
+ *
+ * - `scale` → The current distance divided by the starting distance.
+ * - `distance` → The current distance between the pointers in pixels.
+ * - `startDistance` → The distance when the second pointer was pressed.
+ * - `velocity` → How fast the distance is changing in pixels per
+ *   millisecond; negative when pinching, positive when spreading.
+ * - `x`, `y` → The point half-way between the pointers.
+ *
+ * @alias module:@lumjs/dom/events/plugins.Pinch
+ */
+class Pinch extends GesturePlugin
+{
+  static get knownEvents() { return ['pinch']; }
+
+  constructor(registration)
+  {
+    super(registration);
+    this.reset();
+  }
+
+  start(pointer, event, tracker)
+  {
+    this.reset();
+    if (tracker.pointers.size !== 2) return;
+
+    this.pointers = Array.from(tracker.pointers.values());
+    this.startDistance = this.distance = spread(...this.pointers);
+    this.time = Date.now();
+  }
+
+  move(pointer)
+  {
+    if (this.pointers === null || !this.pointers.includes(pointer)) return;
+
+    const distance = spread(...this.pointers);
+    if (!this.pinching)
+    {
+      if (Math.abs(distance - this.startDistance) < this.option('tolerance', 10))
+      { // Not enough movement yet.
+        return;
+      }
+      this.pinching = true;
+    }
+
+    const now = Date.now();
+    const velocity = (distance - this.distance) / Math.max(now - this.time, 1);
+    this.distance = distance;
+    this.time = now;
+
+    const [p1, p2] = this.pointers;
+    this.emit('pinch', p1.target,
+    {
+      scale: this.startDistance > 0 ? distance / this.startDistance : 1,
+      distance,
+      startDistance: this.startDistance,
+      velocity,
+      x: (p1.x + p2.x) / 2,
+      y: (p1.y + p2.y) / 2,
+    });
+  }
+
+  end(pointer)
+  {
+    if (this.pointers !== null && this.pointers.includes(pointer))
+    {
+      this.reset();
+    }
+  }
+
+  cancel(pointer)
+  {
+    this.end(pointer);
+  }
+
+  reset()
+  {
+    this.pointers = null;
+    this.pinching = false;
+    this.startDistance = this.distance = 0;
+    this.time = 0;
+    return this;
+  }
+
+} // Pinch class
+
+module.exports = Pinch;
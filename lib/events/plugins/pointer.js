@@ -0,0 +1,280 @@
+const core = require('@lumjs/core');
+const {F} = core.types;
+const {getNodeSymbol} = require('../../util');
+
+const TRACKER = Symbol('LumDomPointerTracker');
+
+// Event types and the tracker action for each.
+const POINTER_EVENTS =
+{
+  pointerdown: 'start',
+  pointermove: 'move',
+  pointerup: 'end',
+  pointercancel: 'cancel',
+};
+
+const MOUSE_EVENTS =
+{
+  mousedown: 'start',
+  mousemove: 'move',
+  mouseup: 'end',
+};
+
+const TOUCH_EVENTS =
+{
+  touchstart: 'start',
+  touchmove: 'move',
+  touchend: 'end',
+  touchcancel: 'cancel',
+};
+
+// Browsers send mouse events after touch events; ignore them for this long.
+const MOUSE_DELAY = 1000;
+
+/**
+ * Tracks the pointers (mouse, touch, or pen) pressed on a node.
+ *
+ * There is only ever one tracker per node, shared by all of the
+ * gesture plugins assigned to it. Each of those *subscribes* to the
+ * tracker, and the tracker removes its event listeners once the last
+ * subscriber has unsubscribed.
+ *
+ * If the window supports `PointerEvent`, pointer events are used.
+ * Otherwise mouse and touch events are used.
+ *
+ * Subscribers may have any of the following methods, each of which will
+ * be passed `(pointer, event, tracker)`:
+ *
+ * - `start` → A pointer was pressed on the node.
+ * - `move` → A pressed pointer was moved.
+ * - `end` → A pressed pointer was released.
+ * - `cancel` → A pressed pointer was cancelled by the browser.
+ *
+ * The `pointer` is an object with the following properties:
+ *
+ * - `id` → A unique id for the pointer.
+ * - `type` → The pointer type: `mouse`, `touch`, or `pen`.
+ * - `target` → The element the pointer was pressed on.
+ * - `startX`, `startY` → The client position it was pressed at.
+ * - `x`, `y` → The current client position.
+ * - `startTime` → When it was pressed (from `Date.now()`).
+ * - `time` → When it last changed (from `Date.now()`).
+ *
+ * @property {Node} node - The node being tracked.
+ * @property {Map} pointers - The currently pressed pointers.
+ * @property {Set} subscribers - The current subscribers.
+ *
+ * @alias module:@lumjs/dom/events/plugins.PointerTracker
+ */
+class PointerTracker
+{
+  /**
+   * Build a tracker.
+   *
+   * Use `PointerTracker.get()` instead of calling this directly.
+   *
+   * @param {Node} node - The node to track.
+   */
+  constructor(node)
+  {
+    this.node = node;
+    this.pointers = new Map();
+    this.subscribers = new Set();
+    this.tracking = false;
+    this.lastTouch = 0;
+  }
+
+  /**
+   * The document the node belongs to.
+   * @type {Document}
+   */
+  get document()
+  {
+    return this.node.ownerDocument ?? this.node;
+  }
+
+  /**
+   * The window the node belongs to.
+   * @type {Window}
+   */
+  get window()
+  {
+    return this.document.defaultView;
+  }
+
+  /**
+   * Are pointer events being used?
+   * @type {boolean}
+   */
+  get usePointer()
+  {
+    return (typeof this.window?.PointerEvent === F);
+  }
+
+  // The event types listened for on the node.
+  get $startTypes()
+  {
+    return this.usePointer
+      ? ['pointerdown']
+      : ['mousedown', 'touchstart'];
+  }
+
+  // The event types listened for on the document while pointers are pressed.
+  get $trackTypes()
+  {
+    return this.usePointer
+      ? ['pointermove', 'pointerup', 'pointercancel']
+      : ['mousemove', 'mouseup', 'touchmove', 'touchend', 'touchcancel'];
+  }
+
+  /**
+   * Add a subscriber.
+   *
+   * @param {object} subscriber - The subscriber.
+   * @returns {object} `this`
+   */
+  subscribe(subscriber)
+  {
+    if (this.subscribers.size === 0)
+    {
+      for (const type of this.$startTypes)
+      {
+        this.node.addEventListener(type, this);
+      }
+    }
+    this.subscribers.add(subscriber);
+    return this;
+  }
+
+  /**
+   * Remove a subscriber.
+   *
+   * Once there are no subscribers left, the event listeners
+   * are removed and the tracker is forgotten.
+   *
+   * @param {object} subscriber - The subscriber.
+   * @returns {object} `this`
+   */
+  unsubscribe(subscriber)
+  {
+    if (!this.subscribers.delete(subscriber)) return this;
+
+    if (this.subscribers.size === 0)
+    {
+      for (const type of this.$startTypes)
+      {
+        this.node.removeEventListener(type, this);
+      }
+      this.pointers.clear();
+      this.$track(false);
+      delete getNodeSymbol(this.node, TRACKER).tracker;
+    }
+
+    return this;
+  }
+
+  /**
+   * Handle an event; this is the `EventListener` interface.
+   * @param {Event} event - The event being dispatched.
+   */
+  handleEvent(event)
+  {
+    const type = event.type;
+
+    if (type in TOUCH_EVENTS)
+    {
+      this.lastTouch = Date.now();
+      const touches = event.changedTouches ?? [];
+      for (let i = 0; i < touches.length; i++)
+      {
+        const touch = touches[i];
+        this.$update(TOUCH_EVENTS[type], 'touch:'+touch.identifier,
+          'touch', touch, event);
+      }
+    }
+    else if (type in MOUSE_EVENTS)
+    {
+      if (Date.now() - this.lastTouch < MOUSE_DELAY) return;
+      if (type === 'mousedown' && event.button !== 0) return;
+      this.$update(MOUSE_EVENTS[type], 'mouse', 'mouse', event, event);
+    }
+    else if (type in POINTER_EVENTS)
+    {
+      if (type === 'pointerdown' && event.button !== 0) return;
+      this.$update(POINTER_EVENTS[type], 'pointer:'+event.pointerId,
+        event.pointerType || 'mouse', event, event);
+    }
+  }
+
+  // Update the state of a pointer, and tell the subscribers.
+  $update(action, id, type, pos, event)
+  {
+    const now = Date.now();
+    let pointer = this.pointers.get(id);
+
+    if (action === 'start')
+    {
+      pointer =
+      {
+        id, type,
+        target: pos.target ?? event.target,
+        startX: pos.clientX, startY: pos.clientY,
+        x: pos.clientX, y: pos.clientY,
+        startTime: now, time: now,
+      };
+      this.pointers.set(id, pointer);
+      this.$track(true);
+    }
+    else if (pointer)
+    {
+      pointer.x = pos.clientX;
+      pointer.y = pos.clientY;
+      pointer.time = now;
+      if (action !== 'move')
+      {
+        this.pointers.delete(id);
+        if (this.pointers.size === 0) this.$track(false);
+      }
+    }
+    else
+    { // Not a pointer we're tracking.
+      return;
+    }
+
+    for (const sub of Array.from(this.subscribers))
+    {
+      if (typeof sub[action] === F)
+      {
+        sub[action](pointer, event, this);
+      }
+    }
+  }
+
+  // Start or stop listening to the document.
+  $track(enabled)
+  {
+    if (this.tracking === enabled) return;
+    const doc = this.document;
+    const method = enabled ? 'addEventListener' : 'removeEventListener';
+    for (const type of this.$trackTypes)
+    {
+      doc[method](type, this, true);
+    }
+    this.tracking = enabled;
+  }
+
+  /**
+   * Get the tracker for a node, creating it if needed.
+   *
+   * @param {Node} node - The node to track.
+   * @returns {module:@lumjs/dom/events/plugins.PointerTracker}
+   */
+  static get(node)
+  {
+    const data = getNodeSymbol(node, TRACKER);
+    return (data.tracker ??= new PointerTracker(node));
+  }
+
+} // PointerTracker class
+
+module.exports = PointerTracker;
@@ -0,0 +1,99 @@
+const GesturePlugin = require('./gesture');
+
+/**
+ * A plugin for the `swipeleft`, `swiperight`, `swipeup`,
+ * and `swipedown` events.
+ *
+ * Dispatched when a single pointer is pressed, moved quickly in
+ * one direction, and released.
+ *
+ * ```js
+ * dom.on(gallery, 'swipeleft', next);
+ * dom.on(gallery, 'swiperight', {distance: 50}, previous);
+ * ```
+ *
+ * Supported handler options:
+ *
+ * - `distance` → The shortest swipe in pixels (default `30`).
+ * - `swipeTime` → The longest a swipe may take in milliseconds
+ *   (default `1000`).
+ *
+ * The event is a `CustomEvent` dispatched on the element that was pressed,
+ * with a `detail` object with the following properties:
+ *
+ * - `direction` → `left`, `right`, `up`, or `down`.
+ * - `pointerType` → The pointer type.
+ * - `dx`, `dy` → How far it moved on each axis in pixels.
+ * - `distance` → How far it moved in pixels.
+ * - `duration` → How long it took in milliseconds.
+ * - `velocity` → The speed in pixels per millisecond.
+ *
+ * @alias module:@lumjs/dom/events/plugins.Swipe
+ */
+class Swipe extends GesturePlugin
+{
+  static get knownEvents()
+  {
+    return ['swipeleft', 'swiperight', 'swipeup', 'swipedown'];
+  }
+
+  constructor(registration)
+  {
+    super(registration);
+    this.pointer = null;
+  }
+
+  start(pointer, event, tracker)
+  {
+    this.pointer = (tracker.pointers.size === 1) ? pointer : null;
+  }
+
+  end(pointer)
+  {
+    if (pointer !== this.pointer) return;
+    this.reset();
+
+    const dx = pointer.x - pointer.startX;
+    const dy = pointer.y - pointer.startY;
+    const distance = this.moved(pointer);
+    const duration = pointer.time - pointer.startTime;
+
+    if (distance < this.option('distance', 30)
+      || duration > this.option('swipeTime', 1000))
+    { // Too short, or too slow.
+      return;
+    }
+
+    const direction = (Math.abs(dx) >= Math.abs(dy))
+      ? (dx < 0 ? 'left' : 'right')
+      : (dy < 0 ? 'up' : 'down');
+
+    const type = 'swipe'+direction;
+    if (type !== this.registration.type) return;
+
+    this.emit(type, pointer.target,
+    {
+      direction,
+      pointerType: pointer.type,
+      dx, dy, distance, duration,
+      velocity: distance / Math.max(duration, 1),
+    });
+  }
+
+  cancel(pointer)
+  {
+    if (pointer === this.pointer)
+    {
+      this.reset();
+    }
+  }
+
+  reset()
+  {
+    this.pointer = null;
+    return this;
+  }
+
+} // Swipe class
+
+module.exports = Swipe;
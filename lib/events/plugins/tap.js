@@ -0,0 +1,77 @@
+const GesturePlugin = require('./gesture');
+
+/**
+ * A plugin for the `tap` event.
+ *
+ * Dispatched when a single pointer is pressed and released quickly
+ * without moving. Unlike `click` there is no delay on touch devices.
+ *
+ * Supported handler options:
+ *
+ * - `tapTime` → The longest a tap may take in milliseconds (default `300`).
+ * - `tolerance` → How far the pointer may move in pixels (default `10`).
+ *
+ * The event is a `CustomEvent` dispatched on the element that was pressed,
+ * with a `detail` object with `pointerType`, `x`, `y`, and `duration`
+ * properties.
+ *
+ * @alias module:@lumjs/dom/events/plugins.Tap
+ */
+class Tap extends GesturePlugin
+{
+  static get knownEvents() { return ['tap']; }
+
+  constructor(registration)
+  {
+    super(registration);
+    this.pointer = null;
+  }
+
+  start(pointer, event, tracker)
+  {
+    this.pointer = (tracker.pointers.size === 1) ? pointer : null;
+  }
+
+  move(pointer)
+  {
+    if (pointer === this.pointer
+      && this.moved(pointer) > this.option('tolerance', 10))
+    {
+      this.reset();
+    }
+  }
+
+  end(pointer)
+  {
+    if (pointer !== this.pointer) return;
+    this.reset();
+
+    const duration = pointer.time - pointer.startTime;
+    if (duration > this.option('tapTime', 300)) return;
+
+    this.emit('tap', pointer.target,
+    {
+      pointerType: pointer.type,
+      x: pointer.x,
+      y: pointer.y,
+      duration,
+    });
+  }
+
+  cancel(pointer)
+  {
+    if (pointer === this.pointer)
+    {
+      this.reset();
+    }
+  }
+
+  reset()
+  {
+    this.pointer = null;
+    return this;
+  }
+
+} // Tap class
+
+module.exports = Tap;
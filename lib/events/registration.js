@@ -0,0 +1,155 @@
+const core = require('@lumjs/core');
+const {F,isObj} = core.types;
+const {getNodeSymbol} = require('../util');
+
+const EVENTS = Symbol('LumDomEventHandlers');
+
+/**
+ * A single node/event-type combination assigned by an `EventHandler`.
+ *
+ * These are created automatically by the handler, and are not generally
+ * useful for outside code other than event plugins.
+ *
+ * @property {module:@lumjs/dom/events.Handler} handler - The parent handler.
+ * @property {Node} node - The node the event listener is assigned to.
+ * @property {string} type - The event type.
+ * @property {string} eventType - The event type actually listened for.
+ * See [Handler#eventType()]{@link module:@lumjs/dom/events.Handler#eventType}.
+ * @property {string} eid - The event id (type plus option suffixes).
+ * @property {?module:@lumjs/dom/events.Plugin} plugin - A plugin instance
+ * if the event type (or one of the handler options) is handled by a plugin,
+ * or `null` otherwise.
+ * @property {boolean} active - Is the event listener currently assigned?
+ *
+ * @alias module:@lumjs/dom/events.Registration
+ */
+class EventRegistration
+{
+  /**
+   * Build a registration.
+   *
+   * @param {module:@lumjs/dom/events.Handler} handler - The parent handler.
+   * @param {Node} node - The node to assign the listener to.
+   * @param {string} type - The event type.
+   * @param {string} eid - The event id.
+   */
+  constructor(handler, node, type, eid)
+  {
+    this.handler = handler;
+    this.node = node;
+    this.type = type;
+    this.eventType = handler.eventType(type);
+    this.eid = eid;
+    this.active = false;
+
+    const plugIn = handler.events.$getPlugin(type, handler.options);
+    this.plugin = plugIn ? new plugIn(this) : null;
+  }
+
+  /**
+   * The event listener to assign to the node.
+   *
+   * This is the parent `EventHandler` itself, which implements
+   * the `EventListener` interface via its `handleEvent()` method.
+   *
+   * @type {module:@lumjs/dom/events.Handler}
+   */
+  get listener()
+  {
+    return this.handler;
+  }
+
+  /**
+   * The namespaces for this event type; from the parent handler.
+   * @type {string[]}
+   */
+  get namespaces()
+  {
+    return this.handler.namespaces[this.type] ?? [];
+  }
+
+  /**
+   * Options for `addEventListener()`; from the parent handler.
+   * @type {object}
+   */
+  get options()
+  {
+    return this.handler.options;
+  }
+
+  /**
+   * Assign the event listener to the node.
+   *
+   * Uses the plugin's `on()` method if there is one, otherwise
+   * `addEventListener()` is used.
+   *
+   * @returns {object} `this`
+   */
+  on()
+  {
+    if (this.active) return this;
+
+    if (isObj(this.plugin) && typeof this.plugin.on === F)
+    {
+      this.plugin.on();
+    }
+    else
+    {
+      this.node.addEventListener(this.eventType, this.listener, this.options);
+    }
+
+    const registry = EventRegistration.forNode(this.node);
+    (registry[this.eid] ??= []).push(this);
+    this.active = true;
+    return this;
+  }
+
+  /**
+   * Remove the event listener from the node.
+   *
+   * Uses the plugin's `off()` method if there is one, otherwise
+   * `removeEventListener()` is used.
+   *
+   * @returns {object} `this`
+   */
+  off()
+  {
+    if (!this.active) return this;
+
+    if (isObj(this.plugin) && typeof this.plugin.off === F)
+    {
+      this.plugin.off();
+    }
+    else
+    {
+      this.node.removeEventListener(this.eventType, this.listener, this.options);
+    }
+
+    const registry = EventRegistration.forNode(this.node);
+    const regs = registry[this.eid];
+    if (Array.isArray(regs))
+    {
+      const index = regs.indexOf(this);
+      if (index !== -1) regs.splice(index, 1);
+      if (regs.length === 0) delete registry[this.eid];
+    }
+
+    this.active = false;
+    return this;
+  }
+
+  /**
+   * Get the registry of active registrations for a node.
+   *
+   * @param {Node} node - The node to get the registry for.
+   * @returns {object} An object where each key is an event id,
+   * and the value is an `Array` of every `EventRegistration` for it.
+   */
+  static forNode(node)
+  {
+    return getNodeSymbol(node, EVENTS);
+  }
+
+} // EventRegistration class
+
+module.exports = EventRegistration;
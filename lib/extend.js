@@ -342,7 +342,7 @@ Extender.fn =
   {
     const domEvent = function(...args)
     {
-      return this.dom[fun](this.node, ...args);
+      return this.dom[fun](this.item, ...args);
     }
 
     Extender.fn[fun] = 
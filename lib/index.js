@@ -1,11 +1,13 @@
 const core = require('@lumjs/core');
-const {N,F,S,isObj,isNil} = core.types;
+const {N,F,S,isObj,isNil,isPlainObject} = core.types;
 const 
 {
   NODE_TYPE: NT,
   PARSE_TYPE: PT, 
   VALID_ROOTS,
   HTML_MODE: HM,
+  ADOPT: AD,
+  getParseErrors,
 } = require('./util');
 
 /**
@@ -79,6 +81,28 @@ function isWindow(obj)
  * - `2` => Adopt `HTMLCollection` results from `html()`.
  * - `4` => Adopt *valid* results from `xml()`.
  * 
+ * The [ADOPT]{@link module:@lumjs/dom/util.ADOPT} constants may be used
+ * rather than the plain numbers.
+ * 
+ * @property {object} [options.sanitizePolicy]
+ * A custom default policy for `this.sanitizer`.
+ * 
+ * @property {boolean} [options.strictXml=false]
+ * If `true` the `xml()` method will throw a
+ * [ParseError]{@link module:@lumjs/dom/util.ParseError} if the
+ * string could not be parsed, rather than returning an element
+ * containing a `<parsererror/>` element.
+ * 
+ * @property {boolean} [options.autoCleanup=false]
+ * If `true` the `this.events` instance will automatically remove
+ * event handlers from nodes that are removed from the `document`.
+ * See [events.autoCleanup()]{@link module:@lumjs/dom/events#autoCleanup}.
+ * 
+ * @property {boolean} [options.devMode=false]
+ * If `true` the `this.events` instance will warn about listening for
+ * events that haven't been declared.
+ * See [events.define()]{@link module:@lumjs/dom/events#define}.
+ * 
  * @exports module:@lumjs/dom
  */
 class LumDOM
@@ -267,15 +291,42 @@ class LumDOM
    * - If this is `false`, `null`, or `undefined` we will use `text/html`.
    * - If this is a `string` it must be one of the
    *   [PARSE_TYPE]{@link module:@lumjs/dom/util.PARSE_TYPE} properties.
+   * 
+   * You can omit this parameter entirely and just pass an object
+   * of `opts` if you want.
+   * 
+   * @param {object} [opts] Options
+   * @param {(string|boolean)} [opts.type] Same as the `mimeType` parameter.
+   * @param {boolean} [opts.strict=false] Throw on XML parser errors?
+   * 
+   * If `true` and the document has a `<parsererror/>` element,
+   * a [ParseError]{@link module:@lumjs/dom/util.ParseError} will be thrown.
    *  
    * @returns {Document} - Either an `HTMLDocument` or an `XMLDocument`.
+   * @throws {module:@lumjs/dom/util.ParseError} See `opts.strict`.
    */
-  parse(string, mimeType=PT.HTML)
+  parse(string, mimeType=PT.HTML, opts={})
   {
+    if (isObj(mimeType))
+    {
+      opts = mimeType;
+      mimeType = opts.type;
+    }
     if (typeof mimeType !== S)
       mimeType = mimeType ? PT.XML : PT.HTML;
     const parser = new this.window.DOMParser();
-    return parser.parseFromString(string, mimeType);
+    const doc = parser.parseFromString(string, mimeType);
+
+    if (opts.strict && mimeType !== PT.HTML)
+    {
+      const errors = getParseErrors(doc, mimeType);
+      if (errors.length > 0)
+      {
+        throw errors[0];
+      }
+    }
+
+    return doc;
   }
 
   /**
@@ -294,9 +345,22 @@ class LumDOM
    * @param {number} [opts.mode] Same as the `mode` parameter.
    * @param {boolean} [opts.extend] Override `this.options.autoExtend`
    * @param {boolean} [opts.wrap] Override `this.options.autoWrap`
+   * 
+   * Neither is used in `DOC` mode, which always returns the `Document`.
+   * 
    * @param {boolean} [opts.adoptSingle] Adopt `Element` results?
    * @param {boolean} [opts.adoptMultiple] Adopt `HTMLCollection` results?
    * @param {boolean} [opts.adopt] Set both `adoptSingle` and `adoptMultiple`.
+   * @param {(object|boolean)} [opts.sanitize] Sanitize the parsed HTML?
+   * 
+   * If this is `true` the default policy of `this.sanitizer` will be used.
+   * If this is an `object` it's a custom policy to use.
+   * @see {@link module:@lumjs/dom/sanitize#sanitize} for details.
+   * 
+   * @param {function} [opts.onSanitize] A callback for the sanitizer report.
+   * 
+   * Only used if `opts.sanitize` was set. Will be passed the
+   * [Report]{@link module:@lumjs/dom/sanitize~Report} object.
    * 
    * @returns {*} Parsed element(s).
    * 
@@ -304,6 +368,10 @@ class LumDOM
    * In the default mode (`AUTO`), the output will always be either
    * an `Element` or an `HTMLCollection`.
    * 
+   * If an `HTMLCollection` is adopted, the returned value will be a
+   * static collection compiled by `this.adopt()`, as the original
+   * collection is *live* and would be empty after adoption.
+   * 
    */
   html(string, mode=HM.AUTO, opts={})
   {
@@ -313,9 +381,25 @@ class LumDOM
       mode = opts.mode ?? HM.AUTO;
     }
 
-    let res;
     const doc = this.parse(string);
 
+    if (opts.sanitize)
+    {
+      const report = this.sanitizer.sanitize(doc, opts.sanitize);
+      if (typeof opts.onSanitize === F)
+      {
+        opts.onSanitize(report);
+      }
+    }
+
+    return this.$htmlResult(doc, mode, opts);
+  }
+
+  // Get the `html()` result from a parsed document.
+  $htmlResult(doc, mode, opts)
+  {
+    let res;
+
     if (mode === HM.DOC) return doc;
 
     const hasBody = doc.body && doc.body.childElementCount > 0;
@@ -342,37 +426,154 @@ class LumDOM
       res = doc.body.children;
     }
 
-    if (this.options.autoExtend && res)
+    const autoAdopt = this.options.autoAdopt ?? AD.DEFAULT;
+
+    if (this.isHTMLCollection(res))
     {
-      this.extend(res);
+      const adopt = opts.adoptMultiple ?? opts.adopt 
+        ?? (autoAdopt & AD.MULTIPLE) !== 0;
+      if (adopt) res = this.adopt(res);
+    }
+    else if (this.isElement(res))
+    {
+      const adopt = opts.adoptSingle ?? opts.adopt 
+        ?? (autoAdopt & AD.SINGLE) !== 0;
+      if (adopt) res = this.adopt(res);
     }
 
-    return res;
+    return this.$autoResult(res, opts);
   }
 
   /**
    * Parse a string as XML, then return the document element.
    * 
    * @param {string} string - The XML to parse.
-   * @returns {Element} Parsed element.
+   * @param {object} [opts] Options
+   * @param {string} [opts.type=PARSE_TYPE.XML] The MIME type to parse as.
+   * 
+   *   Must be one of the XML based
+   *   [PARSE_TYPE]{@link module:@lumjs/dom/util.PARSE_TYPE} values,
+   *   such as `PARSE_TYPE.SVG` or `PARSE_TYPE.XHTML`.
+   * 
+   * @param {boolean} [opts.document=false] Return the `Document`?
+   * 
+   *   If `true` the parsed `XMLDocument` will be returned rather than
+   *   the document element. Documents are never adopted.
+   * 
+   * @param {boolean} [opts.strict=this.options.strictXml] Strict mode?
+   * 
+   *   If `true` then a 
+   *   [ParseError]{@link module:@lumjs/dom/util.ParseError} will be 
+   *   thrown if there are any XML parser errors.
+   *   See `tryXml()` for a version that never throws.
+   * 
+   * @param {boolean} [opts.extend] Override `this.options.autoExtend`
+   * @param {boolean} [opts.wrap] Override `this.options.autoWrap`
+   * @param {boolean} [opts.adopt] Adopt the result?
+   * 
+   *   If not specified, this will be `true` if the `4` flag is set in
+   *   `this.options.autoAdopt`. Results containing XML parser errors 
+   *   are never adopted.
+   * 
+   * @returns {(Element|Document)} Parsed element (or document).
    * 
-   *   If `this.options.autoExtend` is `true` then the return value
-   *   will be extended using `this.extend()` automatically.
+   *   If `this.options.autoExtend` (or `opts.extend`) is `true` then
+   *   the return value will be extended using `this.extend()` automatically.
    * 
-   *   NOTE: if there are XML parser errors, there will be a `<parsererror/>`
-   *   element in the returned element, as per the `DOMParser` specification.
+   *   If `this.options.autoWrap` (or `opts.wrap`) is `true` then the
+   *   return value will be wrapped using `this.wrap()` automatically.
    * 
+   *   NOTE: if there are XML parser errors (and strict mode is not enabled),
+   *   there will be a `<parsererror/>` element in the returned element, 
+   *   as per the `DOMParser` specification.
+   * 
+   * @throws {module:@lumjs/dom/util.ParseError} See `opts.strict`.
    */
   xml(string, opts={})
   {
-    const doc = this.parse(string, PT.XML);
+    const doc = this.parse(string, opts.type ?? PT.XML, 
+      {strict: opts.strict ?? this.options.strictXml});
+
+    if (opts.document) return this.$autoResult(doc, opts);
+
+    let res = doc.documentElement;
+
+    const autoAdopt = this.options.autoAdopt ?? AD.DEFAULT;
+    const adopt = opts.adopt ?? (autoAdopt & AD.XML) !== 0;
 
-    if (this.options.autoExtend)
+    if (adopt && res && getParseErrors(doc).length === 0)
     {
-      this.extend(doc.documentElement);
+      res = this.adopt(res);
     }
 
-    return doc.documentElement;
+    return this.$autoResult(res, opts);
+  }
+
+  /**
+   * Parse a string as XML, returning the document and any errors.
+   * 
+   * Unlike `xml()`, this never throws on XML parser errors, and
+   * never adopts, extends, or wraps the parsed document.
+   * 
+   * @param {string} string - The XML to parse.
+   * @param {object} [opts] Options
+   * @param {string} [opts.type=PARSE_TYPE.XML] The MIME type to parse as.
+   * 
+   * @returns {object} An object with the following properties:
+   * 
+   * - `document` → The parsed `XMLDocument`.
+   * - `errors` → An array of
+   *   [ParseError]{@link module:@lumjs/dom/util.ParseError} objects;
+   *   will be empty if there were no errors.
+   */
+  tryXml(string, opts={})
+  {
+    const mimeType = opts.type ?? PT.XML;
+    const document = this.parse(string, mimeType);
+    const errors = getParseErrors(document, mimeType);
+    return {document, errors};
+  }
+
+  /**
+   * Adopt nodes from another document into `this.document`.
+   * 
+   * @param {module:@lumjs/dom.Target} node - The node(s) to adopt.
+   * 
+   * If this is a container, every node in it will be adopted.
+   * 
+   * @returns {module:@lumjs/dom.Target} The adopted node(s).
+   * 
+   * If `node` was a `Node`, it will be returned as is.
+   * 
+   * If `node` was a container, a *static* container of the same type
+   * (`NodeList` or `HTMLCollection`) will be compiled using
+   * `this.listCompiler` and returned, as the adopted nodes are removed
+   * from their original parents (which empties any *live* containers.)
+   * 
+   * @throws {TypeError} If `node` was not a `Node` or container.
+   */
+  adopt(node)
+  {
+    if (this.isNode(node))
+    {
+      return this.document.adoptNode(node);
+    }
+    else if (this.isContainer(node))
+    {
+      const nodes = Array.from(node);
+      const list = this.isHTMLCollection(node)
+        ? this.listCompiler.makeHTMLCollection(...nodes)
+        : this.listCompiler.makeNodeList(...nodes);
+      for (const child of nodes)
+      {
+        this.document.adoptNode(child);
+      }
+      return list;
+    }
+    else 
+    {
+      throw new TypeError("node must be a Node, NodeList, or HTMLCollection");
+    }
   }
 
   /**
@@ -396,6 +597,86 @@ class LumDOM
     return this.document.createDocumentFragment();
   }
 
+  /**
+   * Create an element with properties and children.
+   * 
+   * An alias to `this.builder.create()`;
+   * @see {@link module:@lumjs/dom/builder#create} for details.
+   */
+  create(...args)
+  {
+    return this.builder.create(...args);
+  }
+
+  /**
+   * A tagged template for safely building HTML.
+   * 
+   * An alias to `this.builder.tpl()`;
+   * @see {@link module:@lumjs/dom/builder#tpl} for details.
+   */
+  tpl(strings, ...values)
+  {
+    return this.builder.tpl(strings, ...values);
+  }
+
+  /**
+   * Get a tagged template function using specific `html()` options.
+   * 
+   * An alias to `this.builder.tplWith()`;
+   * @see {@link module:@lumjs/dom/builder#tplWith} for details.
+   */
+  tplWith(mode, opts)
+  {
+    return this.builder.tplWith(mode, opts);
+  }
+
+  /**
+   * Get a compiled `Template` for a `<template>` element.
+   * 
+   * @param {(string|HTMLTemplateElement)} template - The template.
+   * 
+   * If this is a `string` it's a selector query for the template
+   * element, which will be passed to `this.query.get()`.
+   * 
+   * @param {object} [opts] Options for the `Template` constructor.
+   * 
+   * Templates compiled *without* options are cached, so calling this
+   * again with the same template element returns the same instance.
+   * 
+   * @returns {module:@lumjs/dom/template}
+   * 
+   * @throws {TypeError} If the template element could not be found.
+   * @see {@link module:@lumjs/dom/template} for more details.
+   */
+  template(template, opts)
+  {
+    if (typeof template === S)
+    {
+      template = this.query.get(template);
+    }
+
+    const Template = require('./template');
+
+    if (opts !== undefined)
+    { // Custom options are never cached.
+      return new Template(this, template, opts);
+    }
+
+    if (this.$templates === undefined)
+    {
+      this.$templates = new WeakMap();
+    }
+
+    if (isObj(template) && this.$templates.has(template))
+    {
+      return this.$templates.get(template);
+    }
+
+    const compiled = new Template(this, template);
+    this.$templates.set(template, compiled);
+    return compiled;
+  }
+
   /**
    * A default `Query` instance.
    * @type {module:@lumjs/dom/query}
@@ -438,6 +719,90 @@ class LumDOM
     return this.$extender;
   }
 
+  /**
+   * A default `Wrapper` instance.
+   * @type {module:@lumjs/dom/wrap}
+   */
+  get wrapper()
+  {
+    if (this.$wrapper === undefined)
+    {
+      const Wrapper = require('./wrap');
+      this.$wrapper = new Wrapper(this);
+    }
+    return this.$wrapper;
+  }
+
+  /**
+   * A default `Builder` instance.
+   * @type {module:@lumjs/dom/builder}
+   */
+  get builder()
+  {
+    if (this.$builder === undefined)
+    {
+      const Builder = require('./builder');
+      this.$builder = new Builder(this);
+    }
+    return this.$builder;
+  }
+
+  /**
+   * A default `Sanitizer` instance.
+   * @type {module:@lumjs/dom/sanitize}
+   */
+  get sanitizer()
+  {
+    if (this.$sanitizer === undefined)
+    {
+      const Sanitizer = require('./sanitize');
+      this.$sanitizer = new Sanitizer(this, this.options.sanitizePolicy);
+    }
+    return this.$sanitizer;
+  }
+
+  /**
+   * A default `Serializer` instance.
+   * @type {module:@lumjs/dom/serialize}
+   */
+  get serializer()
+  {
+    if (this.$serializer === undefined)
+    {
+      const Serializer = require('./serialize');
+      this.$serializer = new Serializer(this);
+    }
+    return this.$serializer;
+  }
+
+  /**
+   * A default `ListRenderer` instance.
+   * @type {module:@lumjs/dom/renderlist}
+   */
+  get listRenderer()
+  {
+    if (this.$listRenderer === undefined)
+    {
+      const ListRenderer = require('./renderlist');
+      this.$listRenderer = new ListRenderer(this);
+    }
+    return this.$listRenderer;
+  }
+
+  /**
+   * A default `Simulator` instance.
+   * @type {module:@lumjs/dom/simulate}
+   */
+  get simulator()
+  {
+    if (this.$simulator === undefined)
+    {
+      const Simulator = require('./simulate');
+      this.$simulator = new Simulator(this);
+    }
+    return this.$simulator;
+  }
+
   /**
    * A default `ListCompiler` instance.
    * @type {module:@lumjs/dom/listcompiler}
@@ -463,20 +828,41 @@ class LumDOM
    *   Will default to the top-level `document` if not specified.
    * @param {boolean} [asHTMLCollection=this.options.findHTML]
    *   If `true`, this will return an `HTMLCollection` instead of a `NodeList`.
+   * @param {object} [opts] Options
+   * 
+   *   This may be passed in place of `asHTMLCollection`, or even
+   *   in place of `inNode` if you want to search the whole `document`.
+   * 
+   * @param {boolean} [opts.html] Same as the `asHTMLCollection` parameter.
+   * @param {boolean} [opts.extend] Override `this.options.autoExtend`
+   * @param {boolean} [opts.wrap] Override `this.options.autoWrap`
+   * 
    * @returns {(NodeList|HTMLCollection)}
    * 
-   * If `this.options.autoExtend` is `true`, the result
+   * If `this.options.autoExtend` (or `opts.extend`) is `true`, the result
    * will be extended using `this.extend()`.
    * 
+   * If `this.options.autoWrap` (or `opts.wrap`) is `true`, the result
+   * will be wrapped using `this.wrap()`.
+   * 
    */
-  find(query, inNode=this.document, asHTMLCollection=this.options.findHTML) 
+  find(query, inNode=this.document, asHTMLCollection, opts={}) 
   { 
-    const res = this.query.find(query, inNode, asHTMLCollection);
-    if (this.options.autoExtend)
-    {
-      this.extend(res);
+    if (isPlainObject(inNode))
+    { // Options in place of the node.
+      opts = inNode;
+      inNode = this.document;
     }
-    return res;
+    else if (isPlainObject(asHTMLCollection))
+    { // Options in place of the boolean.
+      opts = asHTMLCollection;
+      asHTMLCollection = undefined;
+    }
+
+    asHTMLCollection = asHTMLCollection ?? opts.html ?? this.options.findHTML;
+
+    const res = this.query.find(query, inNode, asHTMLCollection);
+    return this.$autoResult(res, opts);
   }
 
   /**
@@ -487,20 +873,33 @@ class LumDOM
    * 
    * @param {string} query - The query selector.
    * @param {module:@lumjs/dom.QueryTarget} [inNode] - Node(s) to look in.
+   * @param {object} [opts] Options
+   * 
+   *   This may be passed in place of `inNode` if you want to search
+   *   the whole `document`.
+   * 
+   * @param {boolean} [opts.extend] Override `this.options.autoExtend`
+   * @param {boolean} [opts.wrap] Override `this.options.autoWrap`
+   * 
    * @returns {?Node}
    * 
-   * If `this.options.autoExtend` is `true`, the result
+   * If `this.options.autoExtend` (or `opts.extend`) is `true`, the result
    * will be extended using `this.extend()`.
    * 
+   * If `this.options.autoWrap` (or `opts.wrap`) is `true`, the result
+   * will be wrapped using `this.wrap()`.
+   * 
    */
-  get(query, inNode=this.document)  
+  get(query, inNode=this.document, opts={})  
   { 
-    const res = this.query.get(query, inNode); 
-    if (this.options.autoExtend && res)
-    {
-      this.extend(res);
+    if (isPlainObject(inNode))
+    { // Options in place of the node.
+      opts = inNode;
+      inNode = this.document;
     }
-    return res;
+
+    const res = this.query.get(query, inNode); 
+    return this.$autoResult(res, opts);
   }
 
   /**
@@ -525,6 +924,39 @@ class LumDOM
     return this.events.off(...args); 
   }
 
+  /**
+   * Trigger an event on target node(s).
+   * 
+   * An alias to `this.events.trigger()`;
+   * @see {@link module:@lumjs/dom/events#trigger} for details.
+   */
+  trigger(...args)
+  {
+    return this.events.trigger(...args);
+  }
+
+  /**
+   * Dispatch an event on target node(s), and report the results.
+   * 
+   * An alias to `this.events.dispatch()`;
+   * @see {@link module:@lumjs/dom/events#dispatch} for details.
+   */
+  dispatch(...args)
+  {
+    return this.events.dispatch(...args);
+  }
+
+  /**
+   * Assign a keyboard shortcut handler.
+   * 
+   * An alias to `this.events.hotkey()`;
+   * @see {@link module:@lumjs/dom/events#hotkey} for details.
+   */
+  hotkey(...args)
+  {
+    return this.events.hotkey(...args);
+  }
+
   /**
    * Extend a node or node-container with additional features.
    * 
@@ -536,6 +968,68 @@ class LumDOM
     return this.extender.extend(node);
   }
 
+  /**
+   * Wrap a node or node-container in a chainable wrapper object.
+   * 
+   * An alias to `this.wrapper.wrap()`;
+   * @see {@link module:@lumjs/dom/wrap#wrap} for details.
+   */
+  wrap(node)
+  {
+    return this.wrapper.wrap(node);
+  }
+
+  /**
+   * Serialize node(s) into HTML or XML text.
+   * 
+   * An alias to `this.serializer.serialize()`;
+   * @see {@link module:@lumjs/dom/serialize#serialize} for details.
+   */
+  serialize(target, opts)
+  {
+    return this.serializer.serialize(target, opts);
+  }
+
+  /**
+   * Sanitize node(s) containing untrusted markup.
+   * 
+   * An alias to `this.sanitizer.sanitize()`;
+   * @see {@link module:@lumjs/dom/sanitize#sanitize} for details.
+   */
+  sanitize(target, policy)
+  {
+    return this.sanitizer.sanitize(target, policy);
+  }
+
+  /**
+   * Render an array of items into a container, reusing existing nodes.
+   * 
+   * An alias to `this.listRenderer.render()`;
+   * @see {@link module:@lumjs/dom/renderlist#render} for details.
+   */
+  renderList(container, items, opts)
+  {
+    return this.listRenderer.render(container, items, opts);
+  }
+
+  // Apply the `autoExtend` and `autoWrap` options (or overrides) to a result.
+  $autoResult(res, opts={})
+  {
+    if (isNil(res)) return res;
+
+    if (opts.extend ?? this.options.autoExtend)
+    {
+      this.extend(res);
+    }
+
+    if (opts.wrap ?? this.options.autoWrap)
+    {
+      res = this.wrap(res);
+    }
+
+    return res;
+  }
+
   /**
    * Run a callback function when the DOM is ready.
    * 
@@ -619,6 +1113,12 @@ LumDOM.isWindow = isWindow;
   * @see module:@lumjs/dom/util.HTML_MODE
   */
  LumDOM.HTML_MODE = HM;
+
+ /**
+  * @alias module:@lumjs/dom.ADOPT
+  * @see module:@lumjs/dom/util.ADOPT
+  */
+ LumDOM.ADOPT = AD;
  
 module.exports = LumDOM;
 
@@ -1,5 +1,5 @@
 const core = require('@lumjs/core');
-const {F,S,needType,needObj} = core.types;
+const {F,S,N,isObj,needType,needObj} = core.types;
 
 const PLACEHOLDER = new core.InternalObjectId(
 {
@@ -98,6 +98,7 @@ class ListCompiler
    */
   makeNodeList(...nodes)
   {
+    const dom = this.dom;
     const list = this.buildNodeList();
 
     for (const node of nodes)
@@ -106,11 +107,11 @@ class ListCompiler
       { // Add a single node.
         list.addNode(node);
       }
-      else if (dom.isNodeCollection(node))
+      else if (dom.isContainer(node))
       { // A collection of nodes.
         for (const subNode of node)
         {
-          list.addNode(node);
+          list.addNode(subNode);
         }
       }
     } 
@@ -127,6 +128,7 @@ class ListCompiler
    */
   makeHTMLCollection(...nodes)
   {
+    const dom = this.dom;
     const list = this.buildHTMLCollection();
 
     list.addMethod('namedItem', function(key) 
@@ -160,7 +162,7 @@ class ListCompiler
       { // Add a single node.
         addNode(node);
       }
-      else if (dom.isNodeCollection(node))
+      else if (dom.isContainer(node))
       { // A collection of nodes.
         for (const subNode of node)
         {
@@ -175,6 +177,54 @@ class ListCompiler
     return list.compile();
   } // makeHTMLCollection()
 
+  /**
+   * Build a `TouchList` object from a list of touches.
+   * 
+   * This is mostly useful for building synthetic touch events,
+   * which is how [Events#build()]{@link module:@lumjs/dom/events#build}
+   * uses it when the `touches`, `targetTouches`, or `changedTouches`
+   * options are arrays.
+   * 
+   * @param  {...object} touches - Touches to add.
+   *   May be instances of `Touch`, plain objects with the same properties
+   *   (`identifier`, `target`, `clientX`, `clientY`, etc.), or arrays
+   *   (or `TouchList` objects) of either. If the window has a `Touch`
+   *   constructor, plain objects are passed to it, otherwise they
+   *   are added as-is.
+   * @returns {TouchList}
+   */
+  makeTouchList(...touches)
+  {
+    const TouchClass = this.dom.window.Touch;
+    const list = this.buildTouchList();
+
+    const addTouch = touch =>
+    {
+      if (typeof TouchClass === F && !(touch instanceof TouchClass))
+      { // Build a real touch object.
+        touch = new TouchClass(touch);
+      }
+      list.addNode(touch);
+    }
+
+    for (const touch of touches)
+    {
+      if (isObj(touch) && typeof touch.length === N)
+      { // A list of touches.
+        for (let i = 0; i < touch.length; i++)
+        {
+          addTouch(touch[i]);
+        }
+      }
+      else
+      { // A single touch.
+        addTouch(touch);
+      }
+    }
+
+    return list.compile();
+  } // makeTouchList()
+
 } // ListCompiler class
 
 module.exports = ListCompiler
@@ -80,7 +80,7 @@ class Query
         if (this.dom.isQueryNode(node))
         {
           const res = node.querySelector(query);
-          if (this.dom.isNode(node))
+          if (this.dom.isNode(res))
           {
             return res;
           }
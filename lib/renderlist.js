@@ -0,0 +1,247 @@
+const core = require('@lumjs/core');
+const {F,S,isObj} = core.types;
+const {NODE_TYPE: NT, getNodeSymbol} = require('./util');
+
+const RENDERED = Symbol('LumDomRenderedList');
+const getRendered = node => getNodeSymbol(node, RENDERED);
+
+// The key each rendered node was created for.
+const ITEM_KEY = Symbol('LumDomRenderedKey');
+
+/**
+ * The `ListRenderer` class for rendering arrays into a container element.
+ *
+ * Each item in the array is associated with a node by a unique *key*,
+ * and when the same container is rendered again, existing nodes are
+ * reused, moved into the new order using as few DOM operations as
+ * possible, and nodes for items that no longer exist are removed.
+ *
+ * Only nodes added by the renderer are managed, any other nodes in
+ * the container are left alone.
+ *
+ * @property {module:@lumjs/dom} dom - The parent `LumDOM` object.
+ * @exports module:@lumjs/dom/renderlist
+ */
+class ListRenderer
+{
+  /**
+   * Build a ListRenderer instance.
+   * @param {module:@lumjs/dom} dom - The parent DOM helper instance.
+   */
+  constructor(dom)
+  {
+    this.dom = dom;
+  }
+
+  /**
+   * Render an array of items into a container.
+   *
+   * @param {Element} container - The parent element (e.g. `<ul>`).
+   * @param {Array} items - The items to render.
+   * @param {object} opts - Options
+   * @param {(string|function)} [opts.key] How to get the key for an item.
+   *
+   * If this is a `string` it's the name of a property in each item.
+   * If this is a `function` it will be passed `(item, index)` and must
+   * return the key. Keys must be unique. If not specified, the index
+   * of the item is used as the key (which is rarely what you want.)
+   *
+   * @param {(function|module:@lumjs/dom/template)} opts.create
+   * Create the node for a new item.
+   *
+   * If this is a `function` it will be passed `(item, index)` and
+   * must return a `Node`. If this is a compiled
+   * [Template]{@link module:@lumjs/dom/template}, its `render()`
+   * method will be passed the item.
+   *
+   * @param {function} [opts.update] Update the node for an existing item.
+   *
+   * Will be passed `(node, item, index)` for every reused node.
+   * If this is a `Template` the default is to re-render the node
+   * and replace the old one; otherwise nothing is updated.
+   *
+   * @returns {NodeList} The rendered nodes in order, compiled by
+   * [ListCompiler#makeNodeList()]{@link module:@lumjs/dom/listcompiler#makeNodeList}.
+   *
+   * @throws {TypeError} If `container`, `items`, or `opts.create` are
+   * invalid, or `create` did not return a single `Node` (a
+   * `DocumentFragment` cannot be tracked, so is not allowed.)
+   * @throws {RangeError} If two items have the same key.
+   *
+   * If an error is thrown, the container is left unchanged.
+   */
+  render(container, items, opts={})
+  {
+    if (!this.dom.isElement(container))
+    {
+      throw new TypeError("container must be an Element");
+    }
+    if (!Array.isArray(items))
+    {
+      throw new TypeError("items must be an Array");
+    }
+
+    const getKey = keyFunction(opts.key);
+    const create = createFunction(opts.create);
+    const update = (typeof opts.update === F) ? opts.update : null;
+    const replace = (!update && isObj(opts.create)); // Re-rendering templates.
+
+    const state = getRendered(container);
+    const oldKeys = state.keys ?? new Map();
+    const newKeys = new Map();
+
+    // The managed nodes currently in the container, in their DOM order.
+    const oldNodes = [];
+    for (const node of container.childNodes)
+    {
+      if (oldKeys.get(node[ITEM_KEY]) === node)
+      {
+        oldNodes.push(node);
+      }
+    }
+
+    // The nodes for the new items, in the order we want them in.
+    // Nothing in the DOM is changed until they've all been checked.
+    const newNodes = [], pending = [];
+    for (let i = 0; i < items.length; i++)
+    {
+      const item = items[i];
+      const key = getKey(item, i);
+
+      if (newKeys.has(key))
+      {
+        throw new RangeError(`duplicate key: ${String(key)}`);
+      }
+
+      const old = oldKeys.get(key);
+      let node = old;
+      if (!old || replace)
+      {
+        node = create(item, i);
+        if (!this.dom.isNode(node) || node.nodeType === NT.FRAG)
+        {
+          throw new TypeError("create() must return a single Node");
+        }
+      }
+
+      pending.push({old, node, item, i});
+      newKeys.set(key, node);
+      newNodes.push(node);
+    }
+
+    for (const {old, node, item, i} of pending)
+    {
+      if (old !== node)
+      {
+        if (old && old.parentNode === container)
+        { // Swap in the freshly rendered node.
+          old.replaceWith(node);
+        }
+      }
+      else if (update)
+      {
+        update(node, item, i);
+      }
+    }
+
+    // Remove the leftovers.
+    const kept = new Set(newNodes);
+    const survivors = [];
+    for (const node of oldNodes)
+    {
+      if (kept.has(node))
+      {
+        survivors.push(node);
+      }
+      else if (node.parentNode === container)
+      {
+        container.removeChild(node);
+      }
+    }
+
+    // Nodes in the longest run of unchanged relative order stay put.
+    const oldIndex = new Map(survivors.map((node, i) => [node, i]));
+    const sequence = newNodes.map(node => oldIndex.get(node) ?? -1);
+    const stable = new Set();
+    for (const pos of longestIncreasing(sequence))
+    {
+      stable.add(newNodes[pos]);
+    }
+
+    // Move or insert everything else, working backwards.
+    let anchor = survivors.length > 0
+      ? survivors[survivors.length-1].nextSibling
+      : null;
+    for (let i = newNodes.length-1; i >= 0; i--)
+    {
+      const node = newNodes[i];
+      if (!stable.has(node) || node.parentNode !== container)
+      {
+        container.insertBefore(node, anchor);
+      }
+      anchor = node;
+    }
+
+    // Remember the keys for the next render.
+    for (const [key, node] of newKeys)
+    {
+      node[ITEM_KEY] = key;
+    }
+    state.keys = newKeys;
+
+    return this.dom.listCompiler.makeNodeList(...newNodes);
+  }
+
+} // ListRenderer class
+
+module.exports = ListRenderer;
+
+// Get a function to find the key for an item.
+function keyFunction(key)
+{
+  if (typeof key === F) return key;
+  if (typeof key === S) return item => item[key];
+  return (item, index) => index;
+}
+
+// Get a function to create the node for an item.
+function createFunction(create)
+{
+  if (typeof create === F) return create;
+  if (isObj(create) && typeof create.render === F)
+  {
+    return item => create.render(item, {extend: false, wrap: false});
+  }
+  throw new TypeError("create must be a function or Template");
+}
+
+// Get the positions of the longest increasing subsequence,
+// ignoring any negative values.
+function longestIncreasing(seq)
+{
+  const tails = [], prev = new Array(seq.length);
+  for (let i = 0; i < seq.length; i++)
+  {
+    if (seq[i] < 0) continue;
+
+    let lo = 0, hi = tails.length;
+    while (lo < hi)
+    {
+      const mid = (lo + hi) >> 1;
+      if (seq[tails[mid]] < seq[i]) lo = mid + 1;
+      else hi = mid;
+    }
+
+    prev[i] = lo > 0 ? tails[lo-1] : -1;
+    tails[lo] = i;
+  }
+
+  const result = [];
+  let i = tails.length > 0 ? tails[tails.length-1] : -1;
+  while (i >= 0)
+  {
+    result.unshift(i);
+    i = prev[i];
+  }
+  return result;
+}
@@ -0,0 +1,338 @@
+const core = require('@lumjs/core');
+const {S,isObj} = core.types;
+const {NODE_TYPE: NT} = require('./util');
+
+// A URL scheme at the start of a string.
+const URL_SCHEME = /^([a-z][a-z0-9+.-]*):/i;
+
+// A data URL for an image.
+const DATA_IMAGE = /^data:image\/[a-z0-9+.-]+[;,]/i;
+
+// Characters browsers ignore when parsing URL schemes.
+const URL_IGNORE = /[\u0000- \u007F-\u009F]/g;
+
+/**
+ * The default sanitizer policy.
+ *
+ * Custom policies are merged with this, so only the properties
+ * you want to change need to be specified.
+ *
+ * @alias module:@lumjs/dom/sanitize.DEFAULT_POLICY
+ * @prop {string[]} elements - Allowed element names.
+ *
+ * Disallowed elements are *unwrapped* (the element itself is removed,
+ * but its sanitized contents are kept in its place.)
+ *
+ * @prop {string[]} removeContent - Disallowed elements that are removed
+ * along with all of their contents.
+ *
+ * @prop {object} attributes - Allowed attributes.
+ *
+ * Each key is an element name (or `*` for all elements) and the value
+ * is an `Array` of attribute names allowed on those elements.
+ * Event handler attributes (`on...`) are *never* allowed.
+ *
+ * @prop {boolean} dataAttributes - Allow `data-*` attributes?
+ * @prop {string[]} urlAttributes - Attributes with URL values.
+ * @prop {string[]} protocols - Allowed URL schemes in URL attributes.
+ *
+ * Relative URLs (without a scheme) are always allowed.
+ *
+ * @prop {boolean} dataImages - Allow `data:image/*` URLs in `<img src>`?
+ * @prop {boolean} comments - Allow comments?
+ */
+const DEFAULT_POLICY = Object.freeze(
+{
+  elements:
+  [
+    'a', 'abbr', 'b', 'bdi', 'bdo', 'blockquote', 'br', 'caption', 'cite',
+    'code', 'col', 'colgroup', 'dd', 'del', 'details', 'dfn', 'div', 'dl',
+    'dt', 'em', 'figcaption', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'hr', 'i', 'img', 'ins', 'kbd', 'li', 'mark', 'ol', 'p', 'pre', 'q',
+    's', 'samp', 'small', 'span', 'strong', 'sub', 'summary', 'sup',
+    'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'time', 'tr', 'u',
+    'ul', 'var', 'wbr',
+  ],
+  removeContent:
+  [
+    'script', 'style', 'template', 'iframe', 'frame', 'frameset', 'object',
+    'embed', 'applet', 'noscript', 'noembed', 'svg', 'math', 'title',
+    'textarea', 'select', 'xmp', 'plaintext',
+  ],
+  attributes:
+  {
+    '*': ['class', 'dir', 'id', 'lang', 'title'],
+    a: ['href', 'hreflang', 'rel', 'target'],
+    blockquote: ['cite'],
+    col: ['span'],
+    colgroup: ['span'],
+    del: ['cite', 'datetime'],
+    details: ['open'],
+    img: ['alt', 'height', 'src', 'width'],
+    ins: ['cite', 'datetime'],
+    li: ['value'],
+    ol: ['reversed', 'start', 'type'],
+    q: ['cite'],
+    td: ['colspan', 'headers', 'rowspan'],
+    th: ['abbr', 'colspan', 'headers', 'rowspan', 'scope'],
+    time: ['datetime'],
+  },
+  dataAttributes: false,
+  urlAttributes:
+  [
+    'action', 'background', 'cite', 'formaction', 'href', 'poster',
+    'src', 'xlink:href',
+  ],
+  protocols: ['http', 'https', 'mailto', 'tel'],
+  dataImages: true,
+  comments: false,
+});
+
+/**
+ * The `Sanitizer` class for cleaning untrusted markup.
+ *
+ * Walks a parsed DOM tree and removes any elements, attributes,
+ * and URLs not allowed by a policy. It only uses standard DOM methods,
+ * so it works the same in a browser or with `jsdom`.
+ *
+ * @property {module:@lumjs/dom} dom - The parent `LumDOM` object.
+ * @exports module:@lumjs/dom/sanitize
+ */
+class Sanitizer
+{
+  /**
+   * Build a Sanitizer instance.
+   * @param {module:@lumjs/dom} dom - The parent DOM helper instance.
+   * @param {object} [policy] The default policy for this instance.
+   *
+   * Will be merged with the
+   * [DEFAULT_POLICY]{@link module:@lumjs/dom/sanitize.DEFAULT_POLICY}.
+   */
+  constructor(dom, policy)
+  {
+    this.dom = dom;
+    this.policy = this.getPolicy(policy, DEFAULT_POLICY);
+  }
+
+  /**
+   * Get a full policy object.
+   *
+   * @param {(object|boolean)} [policy] A custom policy.
+   *
+   * If this is not an `object`, the `base` will be returned as is.
+   *
+   * @param {object} [base=this.policy] The policy to merge into.
+   * @returns {object} The merged policy.
+   */
+  getPolicy(policy, base=this.policy)
+  {
+    if (!isObj(policy) || policy === base) return base;
+    return Object.assign({}, base, policy);
+  }
+
+  /**
+   * A report of what was removed by a sanitizer.
+   *
+   * @typedef {object} module:@lumjs/dom/sanitize~Report
+   * @prop {string[]} elements - Names of removed (or unwrapped) elements.
+   * @prop {object[]} attributes - Removed attributes.
+   *
+   * Each item has `element`, `name`, and `value` properties.
+   *
+   * @prop {number} comments - The number of removed comments.
+   * @prop {boolean} modified - Was anything removed at all?
+   */
+
+  /**
+   * Sanitize node(s) in place.
+   *
+   * @param {module:@lumjs/dom.Target} target - The node(s) to sanitize.
+   *
+   * If this is an `Element` or `DocumentFragment`, its contents are
+   * sanitized, but the target itself is not checked.
+   *
+   * If this is a `Document`, the contents of its `<head/>` and
+   * `<body/>` elements are sanitized, and the attributes of those
+   * and the `<html/>` element are checked.
+   *
+   * If this is a `NodeList` or `HTMLCollection`, each of the nodes
+   * in it will be checked (and removed from their parents if disallowed.)
+   *
+   * @param {object} [policy] A custom policy for this call.
+   * @returns {module:@lumjs/dom/sanitize~Report}
+   *
+   * @throws {TypeError} If `target` was not a valid value.
+   */
+  sanitize(target, policy)
+  {
+    policy = this.getPolicy(policy);
+
+    const report =
+    {
+      elements: [],
+      attributes: [],
+      comments: 0,
+      modified: false,
+    };
+
+    if (this.dom.isDocument(target))
+    {
+      const root = target.documentElement;
+      if (root)
+      { // These are never removed, but their attributes are checked.
+        this.$attributes(root, root.localName.toLowerCase(), policy, report);
+      }
+      for (const section of [target.head, target.body])
+      {
+        if (section)
+        {
+          this.$attributes(section, section.localName.toLowerCase(), policy, report);
+          this.$children(section, policy, report);
+        }
+      }
+    }
+    else if (this.dom.isNode(target))
+    {
+      this.$children(target, policy, report);
+    }
+    else if (this.dom.isContainer(target))
+    {
+      for (const node of Array.from(target))
+      {
+        this.$node(node, policy, report);
+      }
+    }
+    else
+    {
+      throw new TypeError("target must be a Node, NodeList, or HTMLCollection");
+    }
+
+    report.modified = (report.elements.length > 0
+      || report.attributes.length > 0
+      || report.comments > 0);
+
+    return report;
+  }
+
+  /**
+   * Sanitize a string of HTML.
+   *
+   * @param {string} html - The HTML to sanitize.
+   * @param {object} [policy] A custom policy for this call.
+   * @returns {string} The sanitized HTML (the contents of the `<body/>`).
+   */
+  clean(html, policy)
+  {
+    const doc = this.dom.parse(html);
+    this.sanitize(doc.body, policy);
+    return doc.body.innerHTML;
+  }
+
+  // Sanitize the children of a node.
+  $children(node, policy, report)
+  {
+    if (node.localName === 'template' && isObj(node.content))
+    { // Template contents are not regular children.
+      this.$children(node.content, policy, report);
+    }
+
+    for (const child of Array.from(node.childNodes))
+    {
+      this.$node(child, policy, report);
+    }
+  }
+
+  // Sanitize a single node.
+  $node(node, policy, report)
+  {
+    if (node.nodeType === NT.COMMENT)
+    {
+      if (!policy.comments)
+      {
+        node.remove();
+        report.comments++;
+      }
+      return;
+    }
+
+    if (node.nodeType !== NT.ELEM) return;
+
+    const name = node.localName.toLowerCase();
+
+    if (!policy.elements.includes(name))
+    {
+      report.elements.push(name);
+      if (policy.removeContent.includes(name))
+      { // Remove it entirely.
+        node.remove();
+      }
+      else
+      { // Sanitize the contents, then move them into its place.
+        this.$children(node, policy, report);
+        node.replaceWith(...Array.from(node.childNodes));
+      }
+      return;
+    }
+
+    this.$attributes(node, name, policy, report);
+    this.$children(node, policy, report);
+  }
+
+  // Sanitize the attributes of an element.
+  $attributes(elem, name, policy, report)
+  {
+    const allowed = (policy.attributes['*'] ?? [])
+      .concat(policy.attributes[name] ?? []);
+
+    for (const attr of Array.from(elem.attributes))
+    {
+      const aname = attr.name.toLowerCase();
+      let ok = !aname.startsWith('on') && (allowed.includes(aname)
+        || (policy.dataAttributes && aname.startsWith('data-')));
+
+      if (ok && policy.urlAttributes.includes(aname))
+      {
+        ok = this.isSafeURL(attr.value, policy,
+          (name === 'img' && aname === 'src'));
+      }
+
+      if (!ok)
+      {
+        report.attributes.push({element: name, name: attr.name, value: attr.value});
+        elem.removeAttribute(attr.name);
+      }
+    }
+  }
+
+  /**
+   * Is a URL allowed by a policy?
+   *
+   * @param {string} url - The URL to check.
+   * @param {object} [policy] A custom policy.
+   * @param {boolean} [isImage=false] Is it the `src` of an image?
+   * @returns {boolean}
+   */
+  isSafeURL(url, policy, isImage=false)
+  {
+    policy = this.getPolicy(policy);
+    if (typeof url !== S) return false;
+
+    const clean = url.replace(URL_IGNORE, '');
+    const scheme = clean.match(URL_SCHEME);
+
+    if (!scheme) return true; // A relative URL.
+
+    const proto = scheme[1].toLowerCase();
+    if (proto === 'data')
+    {
+      return (isImage && policy.dataImages && DATA_IMAGE.test(clean));
+    }
+
+    return policy.protocols.includes(proto);
+  }
+
+} // Sanitizer class
+
+module.exports = Sanitizer;
+
+Sanitizer.DEFAULT_POLICY = DEFAULT_POLICY;
@@ -0,0 +1,371 @@
+const core = require('@lumjs/core');
+const {N,S,isObj} = core.types;
+const {NODE_TYPE: NT, PARSE_TYPE: PT} = require('./util');
+
+const XHTML_NS = 'http://www.w3.org/1999/xhtml';
+
+// Elements that never have content in HTML.
+const VOID_ELEMENTS =
+[
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr',
+];
+
+// Elements with content that must be kept exactly as is.
+const RAW_ELEMENTS = ['pre', 'textarea', 'script', 'style'];
+
+// Elements with text content that is not escaped in HTML.
+const RAW_TEXT = ['script', 'style'];
+
+/**
+ * Supported values for the `selfClose` option.
+ *
+ * In HTML mode only *void* elements (like `<br>`) are self-closed,
+ * in XML mode every empty element is.
+ *
+ * @alias module:@lumjs/dom/serialize.SELF_CLOSE
+ * @prop {string} HTML - As `<br>` (or `<x></x>` in XML mode.)
+ * @prop {string} XHTML - As `<br />`.
+ * @prop {string} XML - As `<br/>`.
+ */
+const SELF_CLOSE = Object.freeze(
+{
+  HTML: 'html',
+  XHTML: 'xhtml',
+  XML: 'xml',
+});
+
+/**
+ * The `Serializer` class for turning DOM nodes back into markup text.
+ *
+ * The complement to the `parse()`, `html()`, and `xml()` methods
+ * of the [LumDOM]{@link module:@lumjs/dom} class.
+ *
+ * @property {module:@lumjs/dom} dom - The parent `LumDOM` object.
+ * @exports module:@lumjs/dom/serialize
+ */
+class Serializer
+{
+  /**
+   * Build a Serializer instance.
+   * @param {module:@lumjs/dom} dom - The parent DOM helper instance.
+   */
+  constructor(dom)
+  {
+    this.dom = dom;
+  }
+
+  /**
+   * Serialize node(s) into HTML or XML text.
+   *
+   * @param {module:@lumjs/dom.Target} target - The node(s) to serialize.
+   *
+   * A `Document` or `DocumentFragment` will have its child nodes serialized.
+   * A `NodeList` or `HTMLCollection` will have each of its nodes serialized.
+   *
+   * @param {object} [opts] Options
+   * @param {boolean} [opts.outer=true] Include the target element itself?
+   *
+   * If `false` only the contents of `Element` targets will be serialized
+   * (like `innerHTML`). Has no effect on other types of nodes.
+   *
+   * @param {boolean} [opts.xml] Serialize as XML?
+   *
+   * If not specified, this will be `true` if the node's document is
+   * not an HTML document.
+   *
+   * @param {(boolean|number|string)} [opts.pretty=false] Pretty-print?
+   *
+   * If `true`, each element will be put on its own line, indented with
+   * two spaces per level. A `number` sets the number of spaces per level,
+   * and a `string` is used as the indentation text itself.
+   *
+   * Whitespace-only text nodes are removed, and text nodes are trimmed,
+   * except in elements where whitespace matters (`<pre/>`, etc.)
+   *
+   * @param {string} [opts.selfClose] How to write empty elements.
+   *
+   * Must be one of the
+   * [SELF_CLOSE]{@link module:@lumjs/dom/serialize.SELF_CLOSE} values.
+   * The default is `html` for HTML, and `xml` for XML.
+   *
+   * @param {string} [opts.newline="\n"] Line ending when pretty-printing.
+   *
+   * @returns {string}
+   *
+   * @throws {TypeError} If `target` was not a valid value.
+   */
+  serialize(target, opts={})
+  {
+    let nodes;
+    if (this.dom.isNode(target))
+    {
+      nodes = [target];
+    }
+    else if (this.dom.isContainer(target))
+    {
+      nodes = Array.from(target);
+    }
+    else
+    {
+      throw new TypeError("target must be a Node, NodeList, or HTMLCollection");
+    }
+
+    if (nodes.length === 0) return '';
+
+    const xml = opts.xml ?? !this.isHTML(nodes[0]);
+    const outer = opts.outer ?? true;
+
+    if (!opts.pretty && opts.selfClose === undefined)
+    { // The native serializers will do.
+      return this.$native(nodes, outer, xml);
+    }
+
+    const state =
+    {
+      xml,
+      selfClose: opts.selfClose ?? (xml ? SELF_CLOSE.XML : SELF_CLOSE.HTML),
+      indent: getIndent(opts.pretty),
+      newline: opts.newline ?? '\n',
+    };
+
+    const lines = [];
+    for (const node of nodes)
+    {
+      if (!outer && this.dom.isElement(node))
+      {
+        this.$children(node, 0, state, lines);
+      }
+      else
+      {
+        this.$node(node, 0, state, lines);
+      }
+    }
+
+    return lines.join(state.indent === null ? '' : state.newline);
+  }
+
+  /**
+   * Does a node belong to an HTML document?
+   *
+   * @param {Node} node - The node to test.
+   * @returns {boolean}
+   */
+  isHTML(node)
+  {
+    const doc = this.dom.isDocument(node) ? node : node.ownerDocument;
+    return (isObj(doc) && doc.contentType === PT.HTML);
+  }
+
+  // Serialize using `outerHTML`, `innerHTML`, or `XMLSerializer`.
+  $native(nodes, outer, xml)
+  {
+    const serializer = new this.dom.window.XMLSerializer();
+    let output = '';
+    for (const node of nodes)
+    {
+      const elem = this.dom.isElement(node);
+      if (xml)
+      {
+        const list = (elem && !outer) ? node.childNodes : [node];
+        for (const child of list)
+        {
+          output += serializer.serializeToString(child);
+        }
+      }
+      else if (elem)
+      {
+        output += outer ? node.outerHTML : node.innerHTML;
+      }
+      else if (node.nodeType === NT.DOC || node.nodeType === NT.FRAG)
+      {
+        for (const child of node.childNodes)
+        {
+          output += this.$native([child], true, false);
+        }
+      }
+      else if (node.nodeType === NT.TEXT)
+      {
+        output += escapeText(node.data, false);
+      }
+      else
+      {
+        output += serializer.serializeToString(node);
+      }
+    }
+    return output;
+  }
+
+  // Serialize the children of a node into lines.
+  $children(node, depth, state, lines)
+  {
+    if (this.dom.isElement(node) && node.localName === 'template'
+      && isObj(node.content))
+    { // Use the template contents.
+      node = node.content;
+    }
+
+    for (const child of node.childNodes)
+    {
+      this.$node(child, depth, state, lines);
+    }
+  }
+
+  // Serialize a single node into lines.
+  $node(node, depth, state, lines)
+  {
+    const pad = state.indent === null ? '' : state.indent.repeat(depth);
+    const pretty = (state.indent !== null);
+
+    switch (node.nodeType)
+    {
+      case NT.ELEM:
+        return this.$element(node, depth, state, lines);
+      case NT.TEXT:
+      {
+        let text = escapeText(node.data, state.xml);
+        if (pretty) text = text.trim();
+        if (text !== '') lines.push(pad+text);
+        return;
+      }
+      case NT.CDATA:
+        lines.push(pad+`<![CDATA[${node.data}]]>`);
+        return;
+      case NT.COMMENT:
+        lines.push(pad+`<!--${node.data}-->`);
+        return;
+      case NT.PI:
+        lines.push(pad+`<?${node.target} ${node.data}?>`);
+        return;
+      case NT.DOCTYPE:
+        lines.push(pad+doctype(node));
+        return;
+      case NT.DOC:
+      case NT.FRAG:
+        return this.$children(node, depth, state, lines);
+    }
+  }
+
+  // Serialize an element into lines.
+  $element(node, depth, state, lines)
+  {
+    const pretty = (state.indent !== null);
+    const pad = pretty ? state.indent.repeat(depth) : '';
+    const html = (!state.xml && node.namespaceURI === XHTML_NS);
+    const name = html ? node.localName : node.tagName;
+
+    let open = '<'+name;
+    if (state.xml && depth === 0 && node.namespaceURI
+      && !node.hasAttribute('xmlns') && !node.prefix)
+    { // Top-level elements need their namespace declared.
+      open += ` xmlns="${escapeAttr(node.namespaceURI, true)}"`;
+    }
+    for (const attr of node.attributes)
+    {
+      open += ` ${attr.name}="${escapeAttr(attr.value, state.xml)}"`;
+    }
+
+    const isVoid = html && VOID_ELEMENTS.includes(node.localName);
+    const source = (node.localName === 'template' && isObj(node.content))
+      ? node.content
+      : node;
+
+    if (isVoid)
+    { // Only HTML elements can be void.
+      const end = (state.selfClose === SELF_CLOSE.HTML) ? '>'
+        : (state.selfClose === SELF_CLOSE.XHTML) ? ' />' : '/>';
+      lines.push(pad+open+end);
+      return;
+    }
+    else if (state.xml && source.childNodes.length === 0)
+    { // An empty XML element.
+      const end = (state.selfClose === SELF_CLOSE.HTML) ? `></${name}>`
+        : (state.selfClose === SELF_CLOSE.XHTML) ? ' />' : '/>';
+      lines.push(pad+open+end);
+      return;
+    }
+
+    open += '>';
+    const close = `</${name}>`;
+
+    if (html && RAW_TEXT.includes(node.localName))
+    { // Text content is not escaped at all.
+      lines.push(pad+open+node.textContent+close);
+      return;
+    }
+
+    if (!pretty || RAW_ELEMENTS.includes(node.localName))
+    { // Everything on one line, exactly as is.
+      const inner = [];
+      const flat = Object.assign({}, state, {indent: null});
+      this.$children(node, depth+1, flat, inner);
+      lines.push(pad+open+inner.join('')+close);
+      return;
+    }
+
+    const inner = [];
+    this.$children(node, depth+1, state, inner);
+
+    if (inner.length === 0)
+    {
+      lines.push(pad+open+close);
+    }
+    else if (inner.length === 1 && source.childElementCount === 0)
+    { // Only text, keep it on one line.
+      lines.push(pad+open+inner[0].trim()+close);
+    }
+    else
+    {
+      lines.push(pad+open, ...inner, pad+close);
+    }
+  }
+
+} // Serializer class
+
+module.exports = Serializer;
+
+// Get the indentation text from the `pretty` option.
+function getIndent(pretty)
+{
+  if (typeof pretty === S) return pretty;
+  if (typeof pretty === N) return ' '.repeat(pretty);
+  if (pretty) return '  ';
+  return null;
+}
+
+// Escape text content.
+function escapeText(text, xml)
+{
+  text = text.replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;');
+  if (!xml) text = text.replaceAll('\u00A0', '&nbsp;');
+  return text;
+}
+
+// Escape an attribute value.
+function escapeAttr(text, xml)
+{
+  text = text.replaceAll('&', '&amp;').replaceAll('"', '&quot;');
+  if (xml) text = text.replaceAll('<', '&lt;').replaceAll('>', '&gt;');
+  else text = text.replaceAll('\u00A0', '&nbsp;');
+  return text;
+}
+
+// Build a `<!DOCTYPE>` declaration.
+function doctype(node)
+{
+  let decl = '<!DOCTYPE '+node.name;
+  if (node.publicId)
+  {
+    decl += ` PUBLIC "${node.publicId}"`;
+    if (node.systemId) decl += ` "${node.systemId}"`;
+  }
+  else if (node.systemId)
+  {
+    decl += ` SYSTEM "${node.systemId}"`;
+  }
+  return decl+'>';
+}
+
+Serializer.SELF_CLOSE = SELF_CLOSE;
@@ -0,0 +1,423 @@
+const core = require('@lumjs/core');
+const {S,F,N} = core.types;
+
+/**
+ * The `Simulator` class for simulating user interactions.
+ *
+ * Each method dispatches the same sequence of events a browser would
+ * for a real user (built with
+ * [Events#build()]{@link module:@lumjs/dom/events#build}), and honours
+ * cancelled events the same way a browser does. This is mostly useful
+ * for testing user interfaces in `jsdom`:
+ *
+ * ```js
+ * const sim = dom.simulator;
+ * sim.type(form.elements.name, 'Bob');
+ * sim.select(form.elements.colour, 'blue');
+ * sim.click(form.querySelector('button'));
+ * ```
+ *
+ * All of the methods may be passed extra options which are added
+ * to the init options for every mouse or keyboard event dispatched,
+ * so things like `{shiftKey: true}` may be used.
+ *
+ * @property {module:@lumjs/dom} dom - The parent `LumDOM` object.
+ * @exports module:@lumjs/dom/simulate
+ */
+class Simulator
+{
+  /**
+   * Build a Simulator instance.
+   * @param {module:@lumjs/dom} dom - The parent DOM helper instance.
+   */
+  constructor(dom)
+  {
+    this.dom = dom;
+  }
+
+  /**
+   * Simulate clicking on an element.
+   *
+   * Dispatches `pointerdown`, `mousedown`, `pointerup`, `mouseup`,
+   * and `click` events, focusing the element after `mousedown`
+   * (unless it was cancelled). Disabled elements get no events.
+   *
+   * @param {Element} elem - The element to click.
+   * @param {object} [opts] Extra init options for the events.
+   * @returns {object} `this`
+   */
+  click(elem, opts={})
+  {
+    this.$needElement(elem);
+    if (elem.disabled === true) return this;
+
+    const init = this.$mouseInit(elem, opts);
+
+    this.$fire(elem, 'pointerdown', init);
+    if (this.$fire(elem, 'mousedown', init))
+    { // Focus is the default action of mousedown.
+      this.$focus(elem);
+    }
+
+    const upInit = Object.assign({}, init, {buttons: 0});
+    this.$fire(elem, 'pointerup', upInit);
+    this.$fire(elem, 'mouseup', upInit);
+    this.$fire(elem, 'click', Object.assign({detail: 1}, upInit));
+
+    return this;
+  }
+
+  /**
+   * Simulate typing text into a form field.
+   *
+   * The element is focused first, and the cursor is moved to the end
+   * of the existing text. Then for each character `keydown`,
+   * `keypress`, `beforeinput`, `input`, and `keyup` events are dispatched,
+   * and the character is inserted at the cursor (replacing any selected
+   * text), unless one of the events before `input` was cancelled.
+   *
+   * A newline (`\n`) is typed as the `Enter` key, which only inserts
+   * a line break into a `<textarea>`. The `maxLength` of the field is
+   * honoured. Elements with `contenteditable` have the text appended.
+   *
+   * @param {Element} elem - The element to type into.
+   * @param {string} text - The text to type.
+   * @param {object} [opts] Extra init options for the keyboard events;
+   *   plus the following.
+   * @param {boolean} [opts.clear=false] Clear the existing value first?
+   * @returns {object} `this`
+   */
+  type(elem, text, opts={})
+  {
+    this.$needElement(elem);
+    if (typeof text !== S)
+    {
+      throw new TypeError("text must be a string");
+    }
+    if (elem.disabled === true || elem.readOnly === true) return this;
+
+    const {clear, ...keyOpts} = opts;
+    this.$focus(elem);
+
+    if (clear)
+    {
+      this.$setText(elem, '', true);
+    }
+    else if (hasSelection(elem))
+    { // Start typing at the end of the existing text.
+      elem.selectionStart = elem.selectionEnd = elem.value.length;
+    }
+
+    for (const char of text)
+    {
+      const newline = (char === '\n');
+      const key = newline ? 'Enter' : char;
+      const init = Object.assign(
+      {
+        key,
+        code: keyCode(key),
+        bubbles: true,
+        cancelable: true,
+        composed: true,
+        view: this.dom.window,
+      }, keyOpts);
+
+      let insert = !newline || elem.tagName === 'TEXTAREA';
+      if (!this.$fire(elem, 'keydown', init))
+      {
+        insert = false;
+      }
+      else if (!this.$fire(elem, 'keypress',
+        Object.assign({charCode: char.charCodeAt(0)}, init)))
+      {
+        insert = false;
+      }
+
+      if (insert && this.$canInsert(elem))
+      {
+        const inputInit =
+        {
+          inputType: newline ? 'insertLineBreak' : 'insertText',
+          data: newline ? null : char,
+          bubbles: true,
+          composed: true,
+        };
+
+        if (this.$fire(elem, 'beforeinput',
+          Object.assign({cancelable: true}, inputInit)))
+        {
+          this.$setText(elem, char);
+          this.$fire(elem, 'input', inputInit);
+        }
+      }
+
+      this.$fire(elem, 'keyup', init);
+    }
+
+    return this;
+  }
+
+  /**
+   * Simulate choosing options in a `<select>` element.
+   *
+   * The element is focused, the options are selected, and then
+   * `input` and `change` events are dispatched.
+   *
+   * @param {HTMLSelectElement} elem - The select element.
+   * @param {(string|string[])} value - The value of the option to select.
+   *   For a `<select multiple>` this may be an array of values, and only
+   *   those options will be selected.
+   * @returns {object} `this`
+   * @throws {TypeError} If `elem` isn't a `<select>` element.
+   * @throws {RangeError} If there is no option for one of the values.
+   */
+  select(elem, value)
+  {
+    this.$needElement(elem);
+    if (elem.tagName !== 'SELECT')
+    {
+      throw new TypeError("elem must be a <select> element");
+    }
+    if (elem.disabled === true) return this;
+
+    const values = Array.isArray(value) ? value.map(String) : [String(value)];
+    const options = Array.from(elem.options);
+    for (const val of values)
+    {
+      if (!options.some(opt => opt.value === val))
+      {
+        throw new RangeError(`no option with the value '${val}'`);
+      }
+    }
+
+    this.$focus(elem);
+
+    if (elem.multiple)
+    {
+      for (const opt of options)
+      {
+        opt.selected = values.includes(opt.value);
+      }
+    }
+    else
+    {
+      elem.value = values[0];
+    }
+
+    this.$fire(elem, 'input', {bubbles: true, composed: true});
+    this.$fire(elem, 'change', {bubbles: true});
+
+    return this;
+  }
+
+  /**
+   * Simulate dragging an element and dropping it on another.
+   *
+   * Uses the HTML drag-and-drop events: `pointerdown` and `mousedown`
+   * on the source, then `dragstart` and `drag` on the source, `dragenter`
+   * and `dragover` on the target, `drop` on the target (only if `dragover`
+   * was cancelled, which is how a drop target accepts a drop), and finally
+   * `dragend` on the source. If `dragstart` is cancelled, the drag ends.
+   *
+   * The same `dataTransfer` object is used for all of the drag events.
+   * If the window doesn't have a `DataTransfer` class, a simple stand-in
+   * supporting `setData()`, `getData()`, `clearData()`, and `types`
+   * is used.
+   *
+   * @param {Element} from - The element to drag.
+   * @param {Element} to - The element to drop it on.
+   * @param {object} [opts] Extra init options for the events;
+   *   plus the following.
+   * @param {object} [opts.dataTransfer] The `dataTransfer` to use.
+   * @returns {object} `this`
+   */
+  drag(from, to, opts={})
+  {
+    this.$needElement(from);
+    this.$needElement(to);
+
+    const {dataTransfer, ...mouseOpts} = opts;
+    const dt = dataTransfer ?? this.$dataTransfer();
+
+    const init = this.$mouseInit(from, mouseOpts);
+    this.$fire(from, 'pointerdown', init);
+    this.$fire(from, 'mousedown', init);
+
+    const dragInit = Object.assign({}, init, {dataTransfer: dt});
+    if (this.$fire(from, 'dragstart', dragInit))
+    {
+      this.$fire(from, 'drag', dragInit);
+
+      const overInit = Object.assign({}, this.$mouseInit(to, mouseOpts),
+        {dataTransfer: dt});
+      this.$fire(to, 'dragenter', overInit);
+      const accepted = !this.$fire(to, 'dragover', overInit);
+      if (accepted)
+      {
+        this.$fire(to, 'drop', overInit);
+      }
+      else
+      {
+        dt.dropEffect = 'none';
+      }
+
+      this.$fire(from, 'dragend', Object.assign({}, dragInit, {buttons: 0}));
+    }
+    else
+    { // No drag, just a press and release.
+      const upInit = Object.assign({}, init, {buttons: 0});
+      this.$fire(from, 'pointerup', upInit);
+      this.$fire(from, 'mouseup', upInit);
+    }
+
+    return this;
+  }
+
+  // Make sure we have an element.
+  $needElement(elem)
+  {
+    if (!this.dom.isElement(elem))
+    {
+      throw new TypeError("must be an Element");
+    }
+  }
+
+  // Build and dispatch an event; returns `false` if it was cancelled.
+  $fire(node, type, init)
+  {
+    return node.dispatchEvent(this.dom.events.build(type, init));
+  }
+
+  // Init options for mouse and pointer events.
+  $mouseInit(elem, opts)
+  {
+    const rect = (typeof elem.getBoundingClientRect === F)
+      ? elem.getBoundingClientRect()
+      : {left: 0, top: 0, width: 0, height: 0};
+
+    return Object.assign(
+    {
+      bubbles: true,
+      cancelable: true,
+      composed: true,
+      view: this.dom.window,
+      button: 0,
+      buttons: 1,
+      clientX: rect.left + rect.width / 2,
+      clientY: rect.top + rect.height / 2,
+      pointerId: 1,
+      pointerType: 'mouse',
+      isPrimary: true,
+    }, opts);
+  }
+
+  // Focus an element if it can be focused.
+  $focus(elem)
+  {
+    if (typeof elem.focus === F && this.dom.document.activeElement !== elem)
+    {
+      elem.focus();
+    }
+  }
+
+  // Can text be inserted into an element?
+  $canInsert(elem)
+  {
+    if (typeof elem.value !== S)
+    {
+      return elem.isContentEditable === true
+        || elem.getAttribute('contenteditable') === 'true'
+        || elem.getAttribute('contenteditable') === '';
+    }
+    // Only check the attribute; some `maxLength` defaults are broken.
+    const max = elem.hasAttribute('maxlength') ? elem.maxLength : -1;
+    if (typeof max === N && max >= 0)
+    {
+      const selected = hasSelection(elem)
+        ? elem.selectionEnd - elem.selectionStart
+        : 0;
+      return (elem.value.length - selected) < max;
+    }
+    return true;
+  }
+
+  // Insert text at the cursor, or replace the value.
+  $setText(elem, text, replace=false)
+  {
+    if (typeof elem.value !== S)
+    { // A contenteditable element.
+      if (replace) elem.textContent = text;
+      else elem.append(text);
+      return;
+    }
+
+    if (replace)
+    {
+      elem.value = text;
+    }
+    else if (hasSelection(elem))
+    {
+      const start = elem.selectionStart, end = elem.selectionEnd;
+      elem.value = elem.value.slice(0, start) + text + elem.value.slice(end);
+      elem.selectionStart = elem.selectionEnd = start + text.length;
+    }
+    else
+    {
+      elem.value += text;
+    }
+  }
+
+  // A `DataTransfer` object for drag events.
+  $dataTransfer()
+  {
+    const DT = this.dom.window.DataTransfer;
+    if (typeof DT === F)
+    {
+      return new DT();
+    }
+
+    const data = new Map();
+    return {
+      dropEffect: 'none',
+      effectAllowed: 'all',
+      files: [],
+      items: [],
+      get types() { return Array.from(data.keys()); },
+      setData(format, value) { data.set(format, String(value)); },
+      getData(format) { return data.get(format) ?? ''; },
+      clearData(format)
+      {
+        if (format === undefined) data.clear();
+        else data.delete(format);
+      },
+      setDragImage() {},
+    };
+  }
+
+} // Simulator class
+
+module.exports = Simulator;
+
+// Does a form field support the selection API?
+function hasSelection(elem)
+{
+  try
+  { // Some input types throw when accessing these.
+    return (typeof elem.selectionStart === N
+      && typeof elem.selectionEnd === N);
+  }
+  catch (e)
+  {
+    return false;
+  }
+}
+
+// Get the `code` for a key (for the keys we can guess.)
+function keyCode(key)
+{
+  if (/^[a-z]$/i.test(key)) return 'Key'+key.toUpperCase();
+  if (/^[0-9]$/.test(key)) return 'Digit'+key;
+  if (key === ' ') return 'Space';
+  if (key === 'Enter') return 'Enter';
+  return '';
+}
@@ -0,0 +1,285 @@
+const core = require('@lumjs/core');
+const {F,S,N,isObj,isNil,isPlainObject} = core.types;
+
+// Attribute names for slots.
+const SLOT_ATTR = 'data-slot';
+const SLOT_ATTR_PREFIX = 'data-slot-';
+
+// Special property names for slot values.
+const SLOT_PROPS = ['text', 'html', 'children'];
+
+/**
+ * The `Template` class for rendering `<template>` elements.
+ *
+ * The contents of the template are compiled once, recording the position
+ * of every *slot*, so rendering many copies of the same template only needs
+ * to clone the nodes and fill in the slots.
+ *
+ * Slots may be defined in the template markup:
+ *
+ * ```html
+ * <template id="row">
+ *   <tr>
+ *     <td data-slot="name"></td>
+ *     <td><a data-slot-href="url" data-slot="link">Link</a></td>
+ *   </tr>
+ * </template>
+ * ```
+ *
+ * - `data-slot="name"` → A *content* slot; the contents of the element
+ *   will be filled with the `name` value.
+ * - `data-slot-href="url"` → An *attribute* slot; the `href` attribute
+ *   of the element will be set to the `url` value.
+ *
+ * Or they may be defined using CSS selectors with the `slots` option.
+ *
+ * @property {module:@lumjs/dom} dom - The parent `LumDOM` object.
+ * @property {HTMLTemplateElement} element - The `<template>` element.
+ * @property {object} options - Options passed to the constructor.
+ * @property {DocumentFragment} source - The compiled nodes to clone.
+ * @property {object[]} slots - The compiled slot map.
+ *
+ * @exports module:@lumjs/dom/template
+ */
+class Template
+{
+  /**
+   * Build a Template instance.
+   *
+   * Generally you'd use [dom.template()]{@link module:@lumjs/dom#template}
+   * rather than constructing this manually.
+   *
+   * @param {module:@lumjs/dom} dom - The parent DOM helper instance.
+   * @param {HTMLTemplateElement} element - The `<template>` element.
+   * @param {object} [options] Options
+   * @param {object} [options.slots] Slots defined by CSS selectors.
+   *
+   * Each key is the slot name, and the value is a CSS selector matching
+   * the first element in the template to use for the slot. If the selector
+   * ends with `@attr` (e.g. `a.link@href`) it's an attribute slot.
+   *
+   * @throws {TypeError} If `element` is not a `<template>` element.
+   * @throws {RangeError} If a slot selector does not match anything.
+   */
+  constructor(dom, element, options={})
+  {
+    if (!dom.isElement(element) || !isObj(element.content))
+    {
+      throw new TypeError("element must be a <template> element");
+    }
+
+    this.dom = dom;
+    this.element = element;
+    this.options = options;
+    this.compile();
+  }
+
+  /**
+   * (Re-)compile the template.
+   *
+   * This is called automatically by the constructor, and only needs to
+   * be called again if the `<template>` contents are modified.
+   *
+   * @returns {object} `this`
+   */
+  compile()
+  {
+    const source = this.dom.document.importNode(this.element.content, true);
+    const slots = [];
+
+    for (const elem of source.querySelectorAll('*'))
+    {
+      for (const attr of Array.from(elem.attributes))
+      {
+        if (attr.name === SLOT_ATTR)
+        {
+          slots.push({name: attr.value, attr: null, path: getPath(elem)});
+        }
+        else if (attr.name.startsWith(SLOT_ATTR_PREFIX))
+        {
+          const target = attr.name.substring(SLOT_ATTR_PREFIX.length);
+          slots.push({name: attr.value, attr: target, path: getPath(elem)});
+        }
+        else
+        {
+          continue;
+        }
+        elem.removeAttribute(attr.name);
+      }
+    }
+
+    if (isObj(this.options.slots))
+    {
+      for (const name in this.options.slots)
+      {
+        const [selector, attr] = this.options.slots[name].split('@');
+        const elem = source.querySelector(selector);
+        if (!elem)
+        {
+          throw new RangeError(`slot '${name}' selector matched nothing`);
+        }
+        slots.push({name, attr: attr ?? null, path: getPath(elem)});
+      }
+    }
+
+    this.source = source;
+    this.slots = slots;
+    return this;
+  }
+
+  /**
+   * Render a copy of the template.
+   *
+   * @param {object} [data] Values for the slots.
+   *
+   * Slots with an `undefined` value are left as they are in the template.
+   *
+   * For *attribute* slots, a `null` or `false` value removes the
+   * attribute, `true` sets it to an empty string, and anything
+   * else is set as the attribute value.
+   *
+   * For *content* slots, the value may be:
+   *
+   * - A `string` or `number` to set the text content.
+   * - A `Node`, `NodeList`, `HTMLCollection`, wrapper object, or `Array`
+   *   to replace the contents.
+   * - A `function` which will be called with the slot `Element` and
+   *   the `data` as arguments, with `this` also being the slot element.
+   * - A *plain object* with properties to apply to the slot element using
+   *   [builder.setProps()]{@link module:@lumjs/dom/builder#setProps},
+   *   plus a few special properties: `text` sets the text content,
+   *   `children` replaces the contents, and `html` sets the `innerHTML`
+   *   (which is **not** escaped, so never use it for untrusted data.)
+   *
+   * @param {object} [opts] Options
+   * @param {boolean} [opts.fragment=false] Always return a fragment?
+   *
+   * If `false` and the template has a single top-level element, that
+   * element will be returned instead of the `DocumentFragment`.
+   *
+   * @param {boolean} [opts.extend] Override `dom.options.autoExtend`
+   * @param {boolean} [opts.wrap] Override `dom.options.autoWrap`
+   *
+   * @returns {(Element|DocumentFragment)}
+   */
+  render(data={}, opts={})
+  {
+    const frag = this.source.cloneNode(true);
+
+    // Find all the slot elements before any of them are modified.
+    const targets = this.slots.map(slot => findPath(frag, slot.path));
+
+    for (let i = 0; i < this.slots.length; i++)
+    {
+      const slot = this.slots[i];
+      const value = data[slot.name];
+      if (value === undefined) continue;
+
+      const elem = targets[i];
+      if (slot.attr)
+      {
+        if (isNil(value) || value === false)
+        {
+          elem.removeAttribute(slot.attr);
+        }
+        else
+        {
+          elem.setAttribute(slot.attr, value === true ? '' : value);
+        }
+      }
+      else
+      {
+        this.fill(elem, value, data);
+      }
+    }
+
+    const res = (!opts.fragment && frag.childElementCount === 1)
+      ? frag.firstElementChild
+      : frag;
+
+    return this.dom.$autoResult(res, opts);
+  }
+
+  /**
+   * Fill a content slot.
+   *
+   * See [render()]{@link module:@lumjs/dom/template#render} for the
+   * supported values.
+   *
+   * @param {Element} elem - The slot element.
+   * @param {*} value - The value to fill it with.
+   * @param {object} [data] The full set of data being rendered.
+   * @returns {Element} The `elem`.
+   */
+  fill(elem, value, data={})
+  {
+    const builder = this.dom.builder;
+
+    if (isNil(value) || typeof value === S || typeof value === N)
+    {
+      elem.textContent = value ?? '';
+    }
+    else if (typeof value === F)
+    {
+      value.call(elem, elem, data);
+    }
+    else if (isPlainObject(value))
+    {
+      const props = {};
+      for (const key in value)
+      {
+        if (!SLOT_PROPS.includes(key))
+        {
+          props[key] = value[key];
+        }
+      }
+      builder.setProps(elem, props);
+
+      if (value.text !== undefined)
+      {
+        elem.textContent = value.text;
+      }
+      else if (value.html !== undefined)
+      {
+        elem.innerHTML = value.html;
+      }
+      else if (value.children !== undefined)
+      {
+        elem.replaceChildren();
+        builder.append(elem, value.children);
+      }
+    }
+    else
+    {
+      elem.replaceChildren();
+      builder.append(elem, value);
+    }
+
+    return elem;
+  }
+
+} // Template class
+
+module.exports = Template;
+
+// Get the child index path from a fragment to a node.
+function getPath(node)
+{
+  const path = [];
+  while (node.parentNode)
+  {
+    path.unshift(Array.prototype.indexOf.call(node.parentNode.childNodes, node));
+    node = node.parentNode;
+  }
+  return path;
+}
+
+// Find a node using a child index path.
+function findPath(node, path)
+{
+  for (const i of path)
+  {
+    node = node.childNodes[i];
+  }
+  return node;
+}
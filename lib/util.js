@@ -1,5 +1,5 @@
 const core = require('@lumjs/core');
-const {isObj} = core.types;
+const {SY,isObj} = core.types;
 const Enum = core.Enum;
 
 /**
@@ -100,6 +100,23 @@ exports.HTML_MODE = Enum(
   'BODY',
 ]);
 
+/**
+ * Bitwise flags for the `autoAdopt` option.
+ * 
+ * @alias module:@lumjs/dom/util.ADOPT
+ * @prop {number} SINGLE - Adopt `Element` results from `html()`.
+ * @prop {number} MULTIPLE - Adopt `HTMLCollection` results from `html()`.
+ * @prop {number} XML - Adopt *valid* results from `xml()`.
+ * @prop {number} DEFAULT - The default flags (`SINGLE | MULTIPLE`).
+ */
+exports.ADOPT = Object.freeze(
+{
+  SINGLE: 1,
+  MULTIPLE: 2,
+  XML: 4,
+  DEFAULT: 3,
+});
+
 /**
  * An Error indicating an invalid node.
  * @alias module:@lumjs/dom/util.InvalidNode
@@ -115,6 +132,146 @@ class InvalidNode extends TypeError
 
 exports.InvalidNode = InvalidNode;
 
+// Patterns to find the position of an XML parser error.
+const PARSE_ERROR_POS =
+[
+  /^(\d+):(\d+):\s*/,                              // jsdom
+  /line\s+(?:number\s+)?(\d+),?\s+(?:at\s+)?column\s+(\d+):?\s*/i, // Browsers
+];
+
+/**
+ * An Error indicating a string could not be parsed.
+ * 
+ * @alias module:@lumjs/dom/util.ParseError
+ * @prop {?number} line - The line number of the error (if known.)
+ * @prop {?number} column - The column number of the error (if known.)
+ * @prop {?string} mimeType - The MIME type the string was parsed as.
+ * @prop {?Element} node - The `<parsererror/>` element (if applicable.)
+ */
+class ParseError extends SyntaxError
+{
+  /**
+   * Build a ParseError.
+   * @param {string} message - The error message.
+   * @param {object} [info] Additional information.
+   * @param {number} [info.line] The line number.
+   * @param {number} [info.column] The column number.
+   * @param {string} [info.mimeType] The MIME type.
+   * @param {Element} [info.node] The `<parsererror/>` element.
+   */
+  constructor(message, info={})
+  {
+    super(message);
+    this.name = 'ParseError';
+    this.line = info.line ?? null;
+    this.column = info.column ?? null;
+    this.mimeType = info.mimeType ?? null;
+    this.node = info.node ?? null;
+  }
+
+  /**
+   * Build a ParseError from a `<parsererror/>` element.
+   * 
+   * The format of the error element is not standardized, so this
+   * does its best to find the message, line, and column in the formats
+   * used by `jsdom`, and the major browser engines.
+   * 
+   * @param {Element} node - The `<parsererror/>` element.
+   * @param {string} [mimeType] The MIME type the string was parsed as.
+   * @returns {module:@lumjs/dom/util.ParseError}
+   */
+  static fromNode(node, mimeType)
+  {
+    // Chromium wraps the actual error message in a <div/> element.
+    const msgNode = node.getElementsByTagName('div')[0] ?? node;
+    // Firefox has a <sourcetext/> element that isn't part of the message.
+    let message = '';
+    for (const child of msgNode.childNodes)
+    {
+      if (child.localName !== 'sourcetext')
+      {
+        message += child.textContent;
+      }
+    }
+    message = message.trim();
+
+    const info = {mimeType, node};
+    for (const pattern of PARSE_ERROR_POS)
+    {
+      const match = message.match(pattern);
+      if (match)
+      {
+        info.line = parseInt(match[1]);
+        info.column = parseInt(match[2]);
+        if (match.index === 0)
+        { // The position was a prefix, remove it from the message.
+          message = message.substring(match[0].length);
+        }
+        break;
+      }
+    }
+
+    return new ParseError(message || 'XML parsing error', info);
+  }
+}
+
+exports.ParseError = ParseError;
+
+// Namespaces of the `<parsererror>` elements added by parsers.
+const MOZ_ERROR_NS = 'http://www.mozilla.org/newlayout/xml/parsererror.xml';
+const XHTML_NS = 'http://www.w3.org/1999/xhtml';
+
+/**
+ * Get any XML parser errors from a parsed document.
+ * 
+ * Only `<parsererror>` elements added by the parser are counted:
+ * those in the Mozilla parser error namespace (used by Firefox and `jsdom`),
+ * or XHTML ones that are the root element or its first child (where
+ * WebKit and Blink put them.) Any in the parsed content are ignored.
+ * 
+ * @alias module:@lumjs/dom/util.getParseErrors
+ * @param {Document} doc - A document returned by `DOMParser`.
+ * @param {string} [mimeType] The MIME type the document was parsed as.
+ * @returns {module:@lumjs/dom/util.ParseError[]} 
+ * An array of errors; will be empty if there were no errors.
+ */
+function getParseErrors(doc, mimeType)
+{
+  const errors = [];
+  const root = doc.documentElement;
+  for (const node of doc.getElementsByTagName('parsererror'))
+  {
+    if (node.namespaceURI === MOZ_ERROR_NS 
+      || (node.namespaceURI === XHTML_NS
+      && (node === root || node === root.firstElementChild)))
+    {
+      errors.push(ParseError.fromNode(node, mimeType));
+    }
+  }
+  return errors;
+}
+
+exports.getParseErrors = getParseErrors;
+
+/**
+ * Escape a string for use in HTML text or attribute values.
+ * 
+ * @alias module:@lumjs/dom/util.escapeHTML
+ * @param {string} text - The text to escape.
+ * @returns {string} The text with `& < > " '` characters escaped.
+ */
+function escapeHTML(text)
+{
+  return String(text)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll("'", '&#39;');
+}
+
+exports.escapeHTML = escapeHTML;
+
 /**
  * Get a storage object inside an object
  * identified by a private `Symbol`.
@@ -0,0 +1,617 @@
+const core = require('@lumjs/core');
+const {N,S,def,isNil} = core.types;
+
+const WRAPPED = new core.InternalObjectId({name: 'LumDomWrapped'});
+
+/**
+ * The `Wrapper` class builds chainable wrapper objects around DOM nodes.
+ *
+ * Unlike the [Extender]{@link module:@lumjs/dom/extend}, this never
+ * modifies the native `Node`, `NodeList`, or `HTMLCollection` objects.
+ * Instead a separate object is returned that *references* the native
+ * object(s) and provides its own set of methods.
+ *
+ * @property {module:@lumjs/dom} dom - The parent `LumDOM` object.
+ * @exports module:@lumjs/dom/wrap
+ */
+class Wrapper
+{
+  /**
+   * Build a Wrapper instance.
+   * @param {module:@lumjs/dom} dom - The parent DOM helper instance.
+   */
+  constructor(dom)
+  {
+    this.dom = dom;
+  }
+
+  /**
+   * Is the passed object a wrapper object?
+   *
+   * @param {*} obj - The object to test.
+   * @returns {boolean}
+   */
+  isWrapped(obj)
+  {
+    return WRAPPED.is(obj);
+  }
+
+  /**
+   * Wrap a Node, NodeList, HTMLCollection, or Array of nodes.
+   *
+   * @param {(module:@lumjs/dom.Target|Node[])} target - The object to wrap.
+   *
+   * If this is already a wrapper object, it will be returned as is.
+   *
+   * @returns {(module:@lumjs/dom/wrap.Item|module:@lumjs/dom/wrap.Collection)}
+   *
+   * A single `Node` returns an `Item`; anything else returns a `Collection`.
+   *
+   * @throws {TypeError} If `target` was not a supported value.
+   */
+  wrap(target)
+  {
+    if (this.isWrapped(target))
+    { // Nothing more to do.
+      return target;
+    }
+    else if (this.dom.isNode(target))
+    {
+      return new WrappedItem(this, target);
+    }
+    else if (this.dom.isContainer(target) || Array.isArray(target))
+    {
+      return new WrappedCollection(this, target);
+    }
+    else
+    {
+      throw new TypeError("target must be a Node, NodeList, HTMLCollection, or Array");
+    }
+  }
+
+  /**
+   * Get the native object(s) from a wrapper object.
+   *
+   * @param {*} obj - A wrapper object.
+   *
+   * If this is not a wrapper object, it will be returned as is.
+   *
+   * @returns {*} The native `Node` or node container.
+   */
+  unwrap(obj)
+  {
+    if (this.isWrapped(obj))
+    {
+      return obj.unwrap();
+    }
+    return obj;
+  }
+
+} // Wrapper class
+
+module.exports = Wrapper;
+
+/**
+ * A wrapper around a single `Node`.
+ *
+ * Generally built by [wrap()]{@link module:@lumjs/dom/wrap#wrap} rather
+ * than constructed manually.
+ *
+ * @property {module:@lumjs/dom/wrap} wrapper - The parent `Wrapper`.
+ * @property {module:@lumjs/dom} dom - The `LumDOM` instance.
+ * @property {Node} node - The native node being wrapped.
+ *
+ * @alias module:@lumjs/dom/wrap.Item
+ */
+class WrappedItem
+{
+  /**
+   * Build a wrapped item.
+   * @param {module:@lumjs/dom/wrap} wrapper - The parent `Wrapper`.
+   * @param {Node} node - The node to wrap.
+   */
+  constructor(wrapper, node)
+  {
+    this.wrapper = wrapper;
+    this.dom = wrapper.dom;
+    this.node = node;
+    WRAPPED.tag(this);
+  }
+
+  /**
+   * Get the native `Node`.
+   * @returns {Node}
+   */
+  unwrap()
+  {
+    return this.node;
+  }
+
+  /**
+   * The `id` of an `Element` node.
+   * @type {string}
+   */
+  get id() { return this.node.id; }
+  set id(id) { this.node.id = id; }
+
+  /**
+   * The `classList` of an `Element` node.
+   *
+   * Assigning a `string` replaces the `className` entirely, while
+   * assigning an `Array` adds each class name to the existing list.
+   *
+   * @type {DOMTokenList}
+   */
+  get class()
+  {
+    return this.node.classList;
+  }
+
+  set class(className)
+  {
+    if (typeof className === S)
+    {
+      this.node.className = className;
+    }
+    else if (Array.isArray(className))
+    {
+      this.node.classList.add(...className);
+    }
+  }
+
+  /**
+   * The parent element wrapped in an `Item`, or `null`.
+   * @type {?module:@lumjs/dom/wrap.Item}
+   */
+  get parent() { return this.$make(this.node.parentElement); }
+
+  /**
+   * The first child element wrapped in an `Item`, or `null`.
+   * @type {?module:@lumjs/dom/wrap.Item}
+   */
+  get first() { return this.$make(this.node.firstElementChild); }
+
+  /**
+   * The last child element wrapped in an `Item`, or `null`.
+   * @type {?module:@lumjs/dom/wrap.Item}
+   */
+  get last() { return this.$make(this.node.lastElementChild); }
+
+  /**
+   * The child elements wrapped in a `Collection`.
+   * @type {module:@lumjs/dom/wrap.Collection}
+   */
+  get children() { return this.$make(this.node.children); }
+
+  /**
+   * Find the first child matching a selector query.
+   *
+   * @param {(string|number)} query - The query selector.
+   *
+   * If this is a `number` it's the index of a child element.
+   *
+   * @param {boolean} [wrap=true] Wrap the result?
+   * @returns {?(module:@lumjs/dom/wrap.Item|Node)}
+   */
+  get(query, wrap=true)
+  {
+    const res = (typeof query === N)
+      ? this.node.children[query] ?? null
+      : this.dom.query.get(query, this.node);
+    return wrap ? this.$make(res) : res;
+  }
+
+  /**
+   * Find child nodes matching a selector query.
+   *
+   * @param {string} query - The query selector.
+   * @param {boolean} [wrap=true] Wrap the result?
+   * @returns {(module:@lumjs/dom/wrap.Collection|NodeList)}
+   */
+  find(query, wrap=true)
+  {
+    const res = this.dom.query.find(query, this.node);
+    return wrap ? this.$make(res) : res;
+  }
+
+  /**
+   * Get, set, or remove an attribute.
+   *
+   * @param {string} key - The attribute name.
+   * @param {?string} [value] The value to set.
+   *
+   * If `undefined` we return the current value.
+   * If `null` we remove the attribute.
+   *
+   * @returns {(string|object)} The attribute value, or `this`.
+   */
+  attr(key, value)
+  {
+    if (value === undefined)
+    {
+      return this.node.getAttribute(key);
+    }
+    else if (value === null)
+    {
+      this.node.removeAttribute(key);
+    }
+    else
+    {
+      this.node.setAttribute(key, value);
+    }
+    return this;
+  }
+
+  /**
+   * Get or set the `textContent`.
+   *
+   * @param {string} [text] The text to set.
+   * @returns {(string|object)} The current text, or `this`.
+   */
+  text(text)
+  {
+    if (text === undefined)
+    {
+      return this.node.textContent;
+    }
+    this.node.textContent = text;
+    return this;
+  }
+
+  /**
+   * Append a child to this node.
+   *
+   * @param {*} child - The child to add.
+   *
+   * - A wrapper object will be unwrapped first.
+   * - A `Node` will be appended directly.
+   * - A `NodeList` or `HTMLCollection` will have each node appended.
+   * - A `string` that starts with `<` and ends with `>` will be passed
+   *   to `addHTML()`; any other `string` will be passed to `addText()`.
+   *
+   * @returns {object} `this`
+   */
+  add(child)
+  {
+    child = this.wrapper.unwrap(child);
+
+    if (typeof child === S)
+    {
+      const str = child.trim();
+      return (str.startsWith('<') && str.endsWith('>'))
+        ? this.addHTML(child)
+        : this.addText(child);
+    }
+    else if (this.dom.isNode(child))
+    {
+      this.node.appendChild(child);
+    }
+    else if (this.dom.isContainer(child))
+    { // Copy it first, as the list may be live.
+      this.node.append(...Array.from(child));
+    }
+    else
+    {
+      throw new TypeError("Invalid child");
+    }
+
+    return this;
+  }
+
+  /**
+   * Append a snippet of HTML to this element.
+   *
+   * @param {string} html - The HTML to add.
+   * @returns {object} `this`
+   */
+  addHTML(html)
+  {
+    this.node.insertAdjacentHTML('beforeend', html);
+    return this;
+  }
+
+  /**
+   * Append a text node to this node.
+   *
+   * @param {string} text - The text to add.
+   * @returns {object} `this`
+   */
+  addText(text)
+  {
+    this.node.appendChild(this.dom.document.createTextNode(text));
+    return this;
+  }
+
+  /**
+   * Append this node to a parent node.
+   *
+   * @param {(Node|module:@lumjs/dom/wrap.Item)} parent - The parent.
+   * @returns {object} `this`
+   */
+  addTo(parent)
+  {
+    this.wrapper.unwrap(parent).appendChild(this.node);
+    return this;
+  }
+
+  /**
+   * Remove this node from its parent.
+   * @returns {object} `this`
+   */
+  remove()
+  {
+    if (this.node.parentNode)
+    {
+      this.node.parentNode.removeChild(this.node);
+    }
+    return this;
+  }
+
+  // Wrap a result from this item.
+  $make(res)
+  {
+    return isNil(res) ? null : this.wrapper.wrap(res);
+  }
+
+} // WrappedItem class
+
+/**
+ * A wrapper around a `NodeList`, `HTMLCollection`, or `Array` of nodes.
+ *
+ * Generally built by [wrap()]{@link module:@lumjs/dom/wrap#wrap} rather
+ * than constructed manually.
+ *
+ * Is *iterable*, with each iteration returning a wrapped `Item`.
+ *
+ * @property {module:@lumjs/dom/wrap} wrapper - The parent `Wrapper`.
+ * @property {module:@lumjs/dom} dom - The `LumDOM` instance.
+ * @property {module:@lumjs/dom.Container} nodes - The native node list.
+ *
+ * If the collection was built from an `Array`, this will be a `NodeList`
+ * compiled using [ListCompiler]{@link module:@lumjs/dom/listcompiler}.
+ *
+ * @alias module:@lumjs/dom/wrap.Collection
+ */
+class WrappedCollection
+{
+  /**
+   * Build a wrapped collection.
+   * @param {module:@lumjs/dom/wrap} wrapper - The parent `Wrapper`.
+   * @param {(module:@lumjs/dom.Container|Node[])} nodes - Nodes to wrap.
+   */
+  constructor(wrapper, nodes)
+  {
+    this.wrapper = wrapper;
+    this.dom = wrapper.dom;
+
+    if (Array.isArray(nodes))
+    {
+      nodes = this.dom.listCompiler.makeNodeList(...nodes);
+    }
+
+    this.nodes = nodes;
+    WRAPPED.tag(this);
+  }
+
+  /**
+   * Get the native node container.
+   * @returns {module:@lumjs/dom.Container}
+   */
+  unwrap()
+  {
+    return this.nodes;
+  }
+
+  /**
+   * The number of nodes in the collection.
+   * @type {number}
+   */
+  get length() { return this.nodes.length; }
+
+  /**
+   * Get a wrapped `Item` for every node in the collection.
+   * @type {module:@lumjs/dom/wrap.Item[]}
+   */
+  get items()
+  {
+    return Array.from(this.nodes, node => this.wrapper.wrap(node));
+  }
+
+  /**
+   * Get a wrapped `Item` by its position in the collection.
+   *
+   * @param {number} index - The position; negative counts from the end.
+   * @returns {?module:@lumjs/dom/wrap.Item}
+   */
+  item(index)
+  {
+    if (index < 0) index += this.nodes.length;
+    const node = this.nodes[index];
+    return isNil(node) ? null : this.wrapper.wrap(node);
+  }
+
+  /**
+   * The first item in the collection.
+   * @type {?module:@lumjs/dom/wrap.Item}
+   */
+  get first() { return this.item(0); }
+
+  /**
+   * The last item in the collection.
+   * @type {?module:@lumjs/dom/wrap.Item}
+   */
+  get last() { return this.item(-1); }
+
+  *[Symbol.iterator]()
+  {
+    for (const node of this.nodes)
+    {
+      yield this.wrapper.wrap(node);
+    }
+  }
+
+  /**
+   * Call a function for each item in the collection.
+   *
+   * @param {function} callback - Called with `(item, index, collection)`.
+   *
+   * The `this` will be the wrapped item.
+   *
+   * @returns {object} `this`
+   */
+  each(callback)
+  {
+    let i = 0;
+    for (const item of this)
+    {
+      callback.call(item, item, i++, this);
+    }
+    return this;
+  }
+
+  /**
+   * Find the first child matching a selector query in any of the nodes.
+   *
+   * @param {string} query - The query selector.
+   * @param {boolean} [wrap=true] Wrap the result?
+   * @returns {?(module:@lumjs/dom/wrap.Item|Node)}
+   */
+  get(query, wrap=true)
+  {
+    const res = this.dom.query.get(query, this.nodes);
+    return (wrap && !isNil(res)) ? this.wrapper.wrap(res) : res;
+  }
+
+  /**
+   * Find child nodes matching a selector query in all of the nodes.
+   *
+   * @param {string} query - The query selector.
+   * @param {boolean} [wrap=true] Wrap the result?
+   * @returns {(module:@lumjs/dom/wrap.Collection|NodeList)}
+   */
+  find(query, wrap=true)
+  {
+    const res = this.dom.query.find(query, this.nodes);
+    return wrap ? this.wrapper.wrap(res) : res;
+  }
+
+  /**
+   * Get, set, or remove an attribute.
+   *
+   * When getting, the value from the first node is returned.
+   * Otherwise the attribute is set (or removed) on every node.
+   *
+   * @param {string} key - The attribute name.
+   * @param {?string} [value] The value to set.
+   * @returns {(string|object)} The attribute value, or `this`.
+   */
+  attr(key, value)
+  {
+    if (value === undefined)
+    {
+      const first = this.first;
+      return first ? first.attr(key) : null;
+    }
+    return this.$call('attr', [key, value]);
+  }
+
+  /**
+   * Get or set the `textContent`.
+   *
+   * When getting, the text of every node is joined together.
+   *
+   * @param {string} [text] The text to set on every node.
+   * @returns {(string|object)} The text, or `this`.
+   */
+  text(text)
+  {
+    if (text === undefined)
+    {
+      return Array.from(this.nodes, node => node.textContent).join('');
+    }
+    return this.$call('text', [text]);
+  }
+
+  /**
+   * Append a child to every node.
+   *
+   * Takes the same values as [Item#add()]{@link module:@lumjs/dom/wrap.Item#add}.
+   * As a node can only have one parent, the last node in the collection
+   * gets the original `Node` (or nodes), and every other node gets a deep
+   * copy made with `cloneNode(true)` (without any event listeners.)
+   *
+   * @param {*} child - The child to add.
+   * @returns {object} `this`
+   */
+  add(child)
+  {
+    child = this.wrapper.unwrap(child);
+    if (typeof child === S || !(this.dom.isNode(child) || this.dom.isContainer(child)))
+    { // Strings are parsed for each item, and anything else is invalid.
+      return this.$call('add', [child]);
+    }
+
+    const nodes = this.dom.isNode(child) ? [child] : Array.from(child);
+    const items = this.items;
+    items.forEach((item, i) =>
+    {
+      if (i === items.length-1)
+      {
+        item.add(child);
+      }
+      else
+      {
+        const copies = this.dom.frag();
+        copies.append(...nodes.map(node => node.cloneNode(true)));
+        item.add(copies);
+      }
+    });
+    return this;
+  }
+
+  // Call a method on every wrapped item.
+  $call(meth, args)
+  {
+    for (const item of this.items)
+    { // Using the static items, as some methods may modify a live list.
+      item[meth](...args);
+    }
+    return this;
+  }
+
+} // WrappedCollection class
+
+{ // Methods that simply call the same method on every item.
+  const callMeths = ['addHTML','addText','addTo','remove'];
+  for (const meth of callMeths)
+  {
+    WrappedCollection.prototype[meth] = function(...args)
+    {
+      return this.$call(meth, args);
+    }
+  }
+}
+
+{ // Add event wrappers to both classes.
+  const funs = ['on', 'off', 'trigger'];
+  const target =
+  {
+    node: WrappedItem.prototype,
+    nodes: WrappedCollection.prototype,
+  };
+  for (const prop in target)
+  {
+    for (const fun of funs)
+    {
+      target[prop][fun] = function(...args)
+      {
+        this.dom.events[fun](this[prop], ...args);
+        return this;
+      }
+    }
+  }
+}
+
+def(Wrapper)
+  ('Item', WrappedItem)
+  ('Collection', WrappedCollection);
@@ -0,0 +1,51 @@
+/**
+ * Tests for the `autoAdopt` option and `adopt()` method.
+ */
+const Test = require('@lumjs/tests-dom');
+const lib = require('../lib');
+const AD = lib.ADOPT;
+
+const plan = 13;
+
+const t = Test.getTest({module, plan});
+
+const win = t.dom.window;
+const dom = lib.new(win);
+const doc = dom.document;
+
+const FRAG_1 = '<section id="main"><p>Hello world</p></section>';
+const FRAG_2 = '<p id="first">Hello</p><p id="second">world</p>';
+
+let res = dom.html(FRAG_1);
+t.is(res.ownerDocument, doc, 'html() adopts Element by default');
+
+res = dom.html(FRAG_2);
+t.isHTMLCollection(res, 'html(:multiRoot) returns HTMLCollection');
+t.is(res.length, 2, 'html(:multiRoot) adopted collection .length');
+t.is(res[1].ownerDocument, doc, 'html() adopts HTMLCollection by default');
+t.is(res.namedItem('second'), res[1], 'adopted collection .namedItem()');
+
+res = dom.html(FRAG_1, {adoptSingle: false});
+t.isnt(res.ownerDocument, doc, 'html() with adoptSingle=false');
+
+res = dom.html(FRAG_2, {adopt: false});
+t.isnt(res[0].ownerDocument, doc, 'html() with adopt=false');
+
+res = dom.xml(FRAG_1);
+t.isnt(res.ownerDocument, doc, 'xml() not adopted by default');
+
+res = dom.xml(FRAG_1, {adopt: true});
+t.is(res.ownerDocument, doc, 'xml() with adopt=true');
+
+const xdom = lib.new(win, {autoAdopt: AD.MULTIPLE|AD.XML});
+res = xdom.html(FRAG_1);
+t.isnt(res.ownerDocument, doc, 'html() with autoAdopt=MULTIPLE|XML');
+res = xdom.xml(FRAG_1);
+t.is(res.ownerDocument, doc, 'xml() with autoAdopt=MULTIPLE|XML');
+res = xdom.xml(FRAG_2);
+t.isnt(res.ownerDocument, doc, 'xml() with parser errors not adopted');
+
+res = dom.adopt(dom.parse(FRAG_2).body.childNodes);
+t.isNodeList(res, 'adopt(NodeList) returns NodeList');
+
+t.done();
@@ -0,0 +1,54 @@
+/**
+ * Tests for per-call options in `html()`, `xml()`, `find()`, and `get()`.
+ */
+const Test = require('@lumjs/tests-dom');
+const lib = require('../lib');
+const PT = lib.PARSE_TYPE;
+
+const plan = 14;
+
+const t = Test.getTest({module, plan});
+
+const dom = lib.new(t.dom.window);
+const wrapper = dom.wrapper;
+
+const SVG = '<svg xmlns="http://www.w3.org/2000/svg"><circle r="5"/></svg>';
+
+let res = dom.xml(SVG, {type: PT.SVG});
+t.is(res.namespaceURI, 'http://www.w3.org/2000/svg', 'xml(:svg) namespace');
+
+res = dom.xml(SVG, {document: true});
+t.isDocument(res, 'xml(:document) returns Document');
+
+res = dom.xml(SVG, {wrap: true});
+t.ok(wrapper.isWrapped(res), 'xml(:wrap) is wrapped');
+
+res = dom.html('<b>Hi</b>', {extend: true});
+t.is(typeof res.attr, 'function', 'html(:extend) is extended');
+
+res = dom.html('<b>Hi</b><i>there</i>', {wrap: true});
+t.ok(wrapper.isWrapped(res), 'html(:wrap) is wrapped');
+t.is(res.length, 2, 'html(:wrap) collection length');
+
+res = dom.find('p', {wrap: true});
+t.ok(wrapper.isWrapped(res), 'find(:opts) is wrapped');
+t.is(res.length, 4, 'find(:opts) searches document');
+
+res = dom.find('p', dom.get('#main'), {html: true});
+t.isHTMLCollection(res, 'find(:html) returns HTMLCollection');
+
+res = dom.get('#p1', {wrap: true});
+t.ok(wrapper.isWrapped(res), 'get(:opts) is wrapped');
+
+const wdom = lib.new(t.dom.window, {autoWrap: true});
+res = wdom.get('#p1', {wrap: false});
+t.ok(wdom.isElement(res), 'get(:wrap=false) overrides autoWrap');
+res = wdom.find('p', dom.document, false, {wrap: false});
+t.isNodeList(res, 'find(:wrap=false) overrides autoWrap');
+res = wdom.html('<p>Hi</p>', lib.HTML_MODE.DOC);
+t.ok(wdom.isDocument(res) && !wrapper.isWrapped(res), 'html(:DOC) is never wrapped');
+const edom = lib.new(t.dom.window, {autoExtend: true});
+res = edom.html('<p>Hi</p>', {mode: lib.HTML_MODE.DOC});
+t.ok(edom.isDocument(res) && res.find === undefined, 'html(:DOC) is never extended');
+
+t.done();
@@ -0,0 +1,46 @@
+/**
+ * Tests for XML parser error handling.
+ */
+const Test = require('@lumjs/tests-dom');
+const lib = require('../lib');
+const {ParseError} = require('../lib/util');
+
+const plan = 14;
+
+const t = Test.getTest({module, plan});
+
+const dom = lib.new(t.dom.window);
+
+const GOOD = '<config><item id="a"/></config>';
+const BAD  = '<config>\n  <item></config>';
+
+let res = dom.tryXml(GOOD);
+t.isDocument(res.document, 'tryXml() returns document');
+t.is(res.errors.length, 0, 'tryXml(:valid) has no errors');
+
+res = dom.tryXml(BAD);
+t.is(res.errors.length, 1, 'tryXml(:invalid) has errors');
+const err = res.errors[0];
+t.ok(err instanceof ParseError, 'errors are ParseError instances');
+t.is(err.line, 2, 'error line number');
+t.is(typeof err.column, 'number', 'error column number');
+t.ok(err.message.length > 0, 'error message');
+
+t.is(dom.xml(BAD).tagName, 'parsererror', 'xml() non-strict returns parsererror');
+t.diesWith(() => dom.xml(BAD, {strict: true}), e => e instanceof ParseError, 'xml(:strict) throws');
+
+const sdom = lib.new(t.dom.window, {strictXml: true});
+t.diesWith(() => sdom.xml(BAD), e => e instanceof ParseError, 'xml() with strictXml throws');
+t.is(sdom.xml(GOOD).tagName, 'config', 'xml(:valid) with strictXml');
+
+const AUTHORED = '<config><parsererror>Not really</parsererror></config>';
+res = dom.tryXml(AUTHORED);
+t.is(res.errors.length, 0, 'authored parsererror is not an error');
+t.is(dom.xml(AUTHORED, {strict: true}).tagName, 'config',
+  'xml(:strict) with authored parsererror');
+
+const WEBKIT = '<config><parsererror xmlns="http://www.w3.org/1999/xhtml">'
+  + 'error on line 1</parsererror><item/></config>';
+t.is(dom.tryXml(WEBKIT).errors.length, 1, 'WebKit style parsererror');
+
+t.done();
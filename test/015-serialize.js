@@ -0,0 +1,60 @@
+/**
+ * Tests for the `serialize` module.
+ */
+const Test = require('@lumjs/tests-dom');
+const lib = require('../lib');
+const {SELF_CLOSE} = require('../lib/serialize');
+
+const plan = 10;
+
+const t = Test.getTest({module, plan});
+
+const dom = lib.new(t.dom.window);
+
+const FRAG = '<ul id="list"><li class="a">One</li><li>Two<br></li></ul>';
+
+let elem = dom.html(FRAG);
+t.is(dom.serialize(elem), FRAG, 'serialize() outer');
+t.is(dom.serialize(elem, {outer: false}), 
+  '<li class="a">One</li><li>Two<br></li>', 'serialize(:inner)');
+t.is(dom.serialize(elem.children), 
+  '<li class="a">One</li><li>Two<br></li>', 'serialize(HTMLCollection)');
+
+const frag = dom.frag();
+frag.append(dom.elem('hr'), 'a & b');
+t.is(dom.serialize(frag), '<hr>a &amp; b', 'serialize(DocumentFragment)');
+
+t.is(dom.serialize(elem, {pretty: true}), 
+`<ul id="list">
+  <li class="a">One</li>
+  <li>
+    Two
+    <br>
+  </li>
+</ul>`, 'serialize(:pretty)');
+
+t.is(dom.serialize(elem, {pretty: '\t', selfClose: SELF_CLOSE.XHTML}),
+`<ul id="list">
+\t<li class="a">One</li>
+\t<li>
+\t\tTwo
+\t\t<br />
+\t</li>
+</ul>`, 'serialize(:pretty, :xhtml)');
+
+t.is(dom.serialize(elem.lastChild, {selfClose: SELF_CLOSE.XML}), 
+  '<li>Two<br/></li>', 'serialize(:selfClose=xml)');
+
+const XML = '<config><item id="a"/><item id="b">Text</item></config>';
+const xml = dom.xml(XML);
+t.is(dom.serialize(xml), XML, 'serialize(:xml) round-trip');
+t.is(dom.serialize(xml, {pretty: 2}), 
+`<config>
+  <item id="a"/>
+  <item id="b">Text</item>
+</config>`, 'serialize(:xml, :pretty)');
+
+const round = dom.html(dom.serialize(elem));
+t.is(dom.serialize(round), FRAG, 'serialize() → html() round-trip');
+
+t.done();
@@ -2,14 +2,301 @@
  * Tests for the `events` module.
  */
 const Test = require('@lumjs/tests-dom');
+const lib = require('../lib');
+const Events = require('../lib/events');
 
-const plan = 1;
+const plan = 73;
 
 const t = Test.getTest({module, plan});
 
 const events = t.dom.events;
 t.isa(events, 'object', 'events is an object');
 
-// TODO: write actual tests here.
+const dom = lib.new(t.dom.window);
+const ev = dom.events;
+
+const list = dom.html('<ul><li class="a">A</li><li class="b"><b>B</b></li></ul>');
+const items = list.children;
+
+let calls = [];
+const log = function(e) { calls.push(this.className+':'+e.type); }
+
+const handler = dom.on(items, 'click dblclick', log);
+t.isa(handler, Events.Handler, 'on() returns Handler');
+t.is(handler.registrations.length, 4, 'registration per node/type');
+t.isa(handler.registrations[0], Events.Registration, 'registration class');
+t.is(ev.events.length, 1, 'handler tracked');
+
+dom.trigger(items, 'click');
+t.is(calls.join(','), 'a:click,b:click', 'listener called for each node');
+
+calls = [];
+handler.pause();
+t.ok(handler.paused, 'paused');
+dom.trigger(items, 'click');
+t.is(calls.length, 0, 'paused handler ignores events');
+handler.resume();
+dom.trigger(items[0], 'dblclick');
+t.is(calls.join(','), 'a:dblclick', 'resumed handler');
+
+calls = [];
+dom.off(items[0], 'click', log);
+t.is(handler.registrations.length, 3, 'off() removes a single registration');
+dom.trigger(items, 'click');
+t.is(calls.join(','), 'b:click', 'other registrations kept');
+
+calls = [];
+handler.off();
+t.ok(!handler.active, 'handler.off() removes all registrations');
+t.is(ev.events.length, 0, 'inactive handler pruned');
+dom.trigger(items, 'dblclick');
+t.is(calls.length, 0, 'no listeners after off()');
+
+// Delegated events.
+const delegated = dom.on(list, 'click', 'li', function(e)
+{
+  calls.push(this.className+':'+(e.captureTarget === list));
+});
+dom.trigger(items[1].firstChild, 'click', {bubbles: true});
+t.is(calls.join(','), 'b:true', 'delegated listener');
+delegated.off();
+
+// Object listeners.
+const obj =
+{
+  count: 0,
+  handleEvent(e) { this.count++; },
+};
+dom.on(list, 'click', obj).off();
+dom.on(list, 'click', obj);
+dom.trigger(list, 'click');
+t.is(obj.count, 1, 'object listener');
+
+// Multiple listeners for the same event id.
+calls = [];
+const second = dom.on(list, 'click', log);
+dom.trigger(list, 'click');
+t.ok(obj.count === 2 && calls.length === 1, 'multiple listeners per event');
+dom.off(list, 'click', obj);
+dom.trigger(list, 'click');
+t.ok(obj.count === 2 && calls.length === 2, 'off() removes specific listener');
+t.ok(second.active, 'other listener kept');
+dom.on(list, 'click', obj);
+dom.off(list, 'click');
+dom.trigger(list, 'click');
+t.ok(obj.count === 2 && calls.length === 2 && !second.active, 
+  'off() without listener removes all');
+
+// Namespaces.
+calls = [];
+const nsLog = name => function(e) { calls.push(name+':'+e.type); };
+dom.on(list, 'click.menu keydown.menu', nsLog('menu'));
+dom.on(list, 'click.menu.nav', nsLog('nav'));
+dom.on(list, 'click', nsLog('plain'));
+dom.trigger(list, 'click.menu');
+t.is(calls.join(','), 'menu:click,nav:click', 'trigger() with namespace');
+calls = [];
+dom.trigger(list, 'click.nav.menu');
+t.is(calls.join(','), 'nav:click', 'trigger() with multiple namespaces');
+calls = [];
+dom.off(list, 'click.nav');
+dom.trigger(list, 'click');
+t.is(calls.join(','), 'menu:click,plain:click', 'off() with type and namespace');
+calls = [];
+dom.off(list, '.menu');
+dom.trigger(list, 'click');
+dom.trigger(list, 'keydown');
+t.is(calls.join(','), 'plain:click', 'off() with namespace only');
+dom.off(list, 'click');
+t.dies(() => dom.on(list, '.menu', log), 'on() requires a type');
+
+// One-shot handlers.
+calls = [];
+const once = dom.events.once(list, 'click', 'li.b', log);
+t.ok(once.once && !('once' in once.options), 'once() is handled internally');
+dom.trigger(items[0], 'click', {bubbles: true});
+t.ok(once.active && calls.length === 0, 'non-matching delegate not counted');
+dom.trigger(items[1], 'click', {bubbles: true});
+dom.trigger(items[1], 'click', {bubbles: true});
+t.is(calls.join(','), 'b:click', 'once() listener called once');
+t.ok(!once.active && !ev.events.includes(once), 'once() handler removed');
+
+// Abort controllers.
+calls = [];
+const aborted = dom.on(items, 'click', {ctrl: true}, log);
+t.isa(aborted.options.ctrl, dom.window.AbortController, 'ctrl created');
+aborted.abort();
+dom.trigger(items, 'click');
+t.is(calls.length, 0, 'abort() removes listeners');
+t.ok(!aborted.active && ev.events.length === 0, 'abort() prunes handler');
+
+const ctrl = new dom.window.AbortController();
+const signalled = dom.on(items, 'click', {signal: ctrl.signal}, log);
+ctrl.abort();
+t.ok(!signalled.active, 'external abort removes registrations');
+
+// Plugins get the registration.
+class TestPlugin extends Events.Plugin
+{
+  static get knownEvents() { return ['lumtest']; }
+  on() { calls.push('on:'+this.registration.type); }
+  off() { calls.push('off:'+(this.handler === plugged)); }
+}
+TestPlugin.register();
+
+calls = [];
+const plugged = dom.on(list, 'lumtest', log);
+plugged.off();
+t.is(calls.join(','), 'on:lumtest,off:true', 'plugin dual-class model');
+
+// Introspection.
+const [li1, li2] = Array.from(items);
+const h1 = dom.on(items, 'click.menu', log);
+const h2 = dom.on(list, 'keydown', 'li', log);
+let found = ev.listeners(li1);
+t.ok(found.length === 1 && found[0] === h1, 'listeners() on a node');
+found = ev.listeners(list, 'keydown');
+t.ok(found.length === 1 && found[0] === h2, 'listeners() with type');
+t.is(ev.listeners(items, '.menu').length, 1, 'listeners() with namespace');
+t.is(ev.count(), 3, 'count() all registrations');
+t.is(ev.count(items, 'click'), 2, 'count() with target and type');
+
+li1.remove();
+let report = ev.dump();
+t.ok(report.handlers === 2 && report.registrations === 3 
+  && report.disconnected === 3, 'dump() summary');
+t.ok(report.entries[0].handler === h1 && report.entries[0].leaked, 
+  'dump() flags disconnected nodes');
+dom.document.body.append(list);
+report = ev.dump();
+t.ok(report.disconnected === 1 && report.entries[0].disconnected[0] === li1
+  && !report.entries[0].leaked, 'dump() connected nodes');
+h1.off();
+h2.off();
+list.prepend(li1);
+
+// Event maps.
+calls = [];
+const mapped = dom.on(list, 
+{
+  'click.map': log,
+  'keydown(li.b)': log,
+  'focus:capture': [{passive: true}, log],
+});
+t.ok(Array.isArray(mapped) && mapped.length === 3, 'on() with map');
+t.ok(mapped[1].selector === 'li.b' && mapped[2].options.capture
+  && mapped[2].options.passive && mapped[0].namespaces.click[0] === 'map',
+  'map keys parsed');
+dom.trigger(li2, 'keydown', {bubbles: true});
+dom.trigger(list, 'click');
+t.is(calls.join(','), 'b:keydown,:click', 'map listeners called');
+dom.off(list, {'click.map': log, 'keydown(li.b)': null});
+t.ok(!mapped[0].active && !mapped[1].active && mapped[2].active, 
+  'off() with map');
+dom.off(list, {'focus:capture': log});
+t.is(ev.events.length, 0, 'off() with map suffix');
+t.dies(() => dom.on(list, {'(li)': log}), 'invalid map key');
+
+// Delegated non-bubbling events.
+calls = [];
+const form = dom.html('<form><input name="a"/><input name="b"/></form>');
+const blurred = dom.on(form, 'blur.form', 'input', function(e) 
+{ 
+  calls.push(this.name+':'+e.type); 
+});
+t.is(blurred.registrations[0].eventType, 'focusout', 'blur delegated as focusout');
+if (typeof form.elements.b.focus === 'function')
+{ // Use real focus changes if possible.
+  dom.document.body.append(form);
+  form.elements.a.focus();
+  form.elements.b.focus();
+  form.remove();
+}
+else
+{
+  dom.trigger(form.elements.a, 'focusout', {bubbles: true});
+}
+t.is(calls.join(','), 'a:focusout', 'delegated blur listener');
+dom.off(form, '.form');
+t.is(dom.events.count(form), 0, 'delegated blur removed');
+
+calls = [];
+dom.on(list, 'mouseenter', 'li', log);
+const bold = li2.firstChild;
+dom.trigger(li2, 'mouseover', {bubbles: true, relatedTarget: list});
+dom.trigger(bold, 'mouseover', {bubbles: true, relatedTarget: li2});
+dom.trigger(bold, 'mouseover', {bubbles: true, relatedTarget: li1});
+t.is(calls.join(','), 'b:mouseover,b:mouseover', 'delegated mouseenter');
+dom.off(list, 'mouseenter', 'li');
+t.is(ev.events.length, 0, 'delegated mouseenter removed');
+
+// Promises.
+const waiting = ev.waitFor(list, 'click', {selector: 'li', timeout: 1000});
+t.isa(waiting, Promise, 'waitFor() returns Promise');
+t.is(ev.events.length, 1, 'waitFor() assigns handler');
+dom.trigger(items[1], 'click', {bubbles: true});
+t.is(ev.events.length, 0, 'waitFor() removes handler after event');
+
+const ctrl2 = new dom.window.AbortController();
+ev.waitFor(list, 'keydown', {signal: ctrl2.signal}).catch(() => null);
+ctrl2.abort();
+t.is(ev.events.length, 0, 'waitFor() removes handler when aborted');
+
+const waitLi = ev.waitFor(list, 'click', 'li');
+t.is(ev.events[0]?.options.selector, 'li', 'waitFor() selector shorthand');
+dom.trigger(items[0], 'click', {bubbles: true});
+t.is(ev.events.length, 0, 'waitFor() resolved by delegated event');
+waitLi.catch(() => null);
+
+ev.waitFor(list.querySelectorAll('p'), 'click').catch(() => null);
+ev.waitFor(list, {click: () => null}).catch(() => null);
+t.is(ev.events.length, 0, 'waitFor() with an event map assigns no handler');
+t.is(ev.events.length, 0, 'waitFor() with no nodes assigns no handler');
+
+// Dispatch results.
+const veto = dom.on(li2, 'before-save', e => e.preventDefault());
+const saved = [];
+const results = ev.dispatch(items, 'before-save', 
+{
+  detail: {id: 1},
+  onDefault: (node, e) => saved.push(node.className+':'+e.detail.id),
+});
+t.ok(Array.isArray(results) && results.length === 2, 'dispatch() results');
+t.ok(results[0].node === li1 && !results[0].cancelled 
+  && results[1].cancelled, 'dispatch() reports cancellation');
+t.ok(results[0].event !== results[1].event && results[0].event.cancelable,
+  'dispatch() builds cancelable event for each node');
+t.is(saved.join(','), 'a:1', 'onDefault only for uncancelled nodes');
+t.is(dom.trigger(li2, 'before-save'), ev, 'trigger() still returns this');
+veto.off();
+
+const vetoFirst = dom.on(li1, 'before-save', e => e.preventDefault());
+const prebuilt = ev.build('before-save', {cancelable: true, detail: {id: 2}});
+const prebuiltRes = ev.dispatch(items, prebuilt);
+t.ok(prebuiltRes[0].event === prebuilt && prebuiltRes[0].cancelled
+  && !prebuiltRes[1].cancelled && prebuiltRes[1].event.detail.id === 2,
+  'dispatch() copies an Event for each node');
+vetoFirst.off();
+const ptr = ev.build('pointerdown', {pointerId: 7});
+const ptrRes = ev.dispatch(items, ptr);
+t.is(ptrRes[1].event.pointerId, 7, 'event copies keep fallback properties');
+
+// Event classes and fallbacks.
+const win = dom.window;
+const built = (type, opts) => ev.build(type, opts);
+t.isa(built('input', {data: 'x'}), win.InputEvent, 'input builds InputEvent');
+const pointer = built('pointerdown', {pointerId: 3, clientX: 5});
+const pointerClass = win.PointerEvent ?? win.MouseEvent;
+t.ok(pointer instanceof pointerClass && pointer.pointerId === 3 
+  && pointer.clientX === 5 && pointer.pointerType === '', 
+  'pointer events have pointer properties');
+const dt = {types: []};
+const drop = built('drop', {dataTransfer: dt, bubbles: true});
+t.ok(drop instanceof win.MouseEvent && drop.dataTransfer === dt 
+  && drop.bubbles, 'drag events have dataTransfer');
+const trans = built('transitionend', {propertyName: 'opacity'});
+t.ok(trans.propertyName === 'opacity' && trans.elapsedTime === 0
+  && trans.pseudoElement === '', 'fallback default properties');
+t.is(Events.FALLBACKS.SubmitEvent.parent, 'Event', 'FALLBACKS exported');
 
 t.done();
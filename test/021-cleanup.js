@@ -0,0 +1,47 @@
+/**
+ * Tests for the `autoCleanup` feature of the `events` module.
+ */
+const Test = require('@lumjs/tests-dom');
+const lib = require('../lib');
+
+const plan = 9;
+
+const t = Test.getTest({module, plan});
+
+const dom = lib.new(t.dom.window, {autoCleanup: true});
+const ev = dom.events;
+const body = dom.document.body;
+const noop = () => true;
+
+t.isa(ev.observer, dom.window.MutationObserver, 'autoCleanup option');
+
+const list = dom.html('<ul><li>A</li><li>B</li></ul>');
+const detached = dom.elem('div');
+body.append(list);
+
+const onList = dom.on(list, 'click', noop);
+const onItems = dom.on(list.children, 'click', noop);
+const onBody = dom.on(body, 'click', noop);
+dom.on(detached, 'click', noop);
+t.is(ev.count(), 5, 'registrations assigned');
+
+// Moving a node is not a removal.
+body.append(list);
+t.is(ev.flushCleanup(), 0, 'moved nodes are kept');
+
+list.lastChild.remove();
+t.is(ev.flushCleanup(), 1, 'removed node cleaned up');
+t.ok(onItems.active && onItems.registrations.length === 1, 
+  'other registrations kept');
+
+list.remove();
+t.is(ev.flushCleanup(), 2, 'descendants of removed nodes cleaned up');
+t.ok(!onList.active && !onItems.active && onBody.active,
+  'inactive handlers pruned');
+t.is(ev.count(), 2, 'never connected nodes are kept');
+
+ev.autoCleanup(false);
+t.is(ev.cleanup(), 1, 'cleanup() removes all disconnected');
+
+onBody.off();
+t.done();
@@ -0,0 +1,137 @@
+/**
+ * Tests for the bundled event plugins.
+ */
+const Test = require('@lumjs/tests-dom');
+const lib = require('../lib');
+const Events = require('../lib/events');
+const plugins = require('../lib/events/plugins');
+
+const plan = 22;
+
+const t = Test.getTest({module, plan});
+const dom = lib.new(t.dom.window);
+const ev = dom.events;
+const win = dom.window;
+
+// Fake timers, so we can test synchronously.
+const {setTimeout, clearTimeout} = win;
+let timers = new Map(), nextTimer = 1;
+win.setTimeout = (fn, delay) =>
+{
+  timers.set(nextTimer, {fn, delay});
+  return nextTimer++;
+}
+win.clearTimeout = id => timers.delete(id);
+const tick = () =>
+{
+  const pending = Array.from(timers);
+  timers.clear();
+  for (const [id, timer] of pending) timer.fn();
+}
+
+t.is(Events.PLUGINS.Debounced, plugins.Debounced, 'plugins registered');
+t.is(Events.OPTIONS.throttle, 'Throttled', 'plugin options registered');
+
+const form = dom.html('<form><input name="a"/><input name="b"/></form>');
+const {a, b} = form.elements;
+let calls = [];
+const log = function(e) { calls.push(this.name+':'+e.type); };
+
+// Debounced.
+const debounced = dom.on(form, 'input', {selector: '[name=a]', debounce: 300}, log);
+t.isa(debounced.registrations[0].plugin, plugins.Debounced, 'debounce option');
+dom.trigger(a, 'input', {bubbles: true});
+dom.trigger(a, 'input', {bubbles: true});
+dom.trigger(b, 'input', {bubbles: true});
+t.ok(calls.length === 0 && timers.size === 1, 'debounced events wait');
+t.is(Array.from(timers.values())[0].delay, 300, 'debounce delay');
+tick();
+t.is(calls.join(','), 'a:input', 'debounced listener called once');
+dom.trigger(a, 'input', {bubbles: true});
+debounced.off();
+t.is(timers.size, 0, 'off() cancels pending call');
+
+// Throttled.
+calls = [];
+const throttled = dom.on(a, 'input', {throttle: true}, log);
+dom.trigger(a, 'input');
+t.is(calls.length, 1, 'throttled listener called right away');
+dom.trigger(a, 'input');
+dom.trigger(a, 'input');
+t.ok(calls.length === 1 && Array.from(timers.values())[0].delay === 250,
+  'throttled events wait for default delay');
+tick();
+t.is(calls.length, 2, 'last throttled event called after delay');
+tick();
+t.ok(calls.length === 2 && timers.size === 0, 'throttle ends when idle');
+throttled.off();
+
+// Long press.
+const list = dom.html('<ul><li class="a">A</li><li class="b"><b>B</b></li></ul>');
+dom.document.body.append(list);
+const [li1, li2] = Array.from(list.children);
+const press = (node, type, x=0) => dom.trigger(node, type,
+  {bubbles: true, button: 0, clientX: x, clientY: 0});
+const details = [];
+
+calls = [];
+const held = dom.on(list, 'longpress', {selector: 'li', delay: 800}, function(e)
+{
+  calls.push(this.className+':'+e.type);
+  details.push(e.detail);
+});
+press(li2.firstChild, 'mousedown');
+t.is(Array.from(timers.values())[0].delay, 800, 'longpress delay option');
+tick();
+press(li2.firstChild, 'mouseup');
+t.ok(calls.join(',') === 'b:longpress' && details[0].pointerType === 'mouse',
+  'longpress dispatched');
+
+press(li1, 'mousedown');
+press(li1, 'mousemove', 20);
+tick();
+press(li1, 'mousedown');
+press(li1, 'mouseup');
+tick();
+t.is(calls.length, 1, 'longpress cancelled by moving or releasing');
+
+dom.trigger(li1, 'longpress', {bubbles: true});
+t.is(calls.join(','), 'b:longpress,a:longpress', 'longpress can be triggered');
+
+held.off();
+press(li1, 'mousedown');
+t.is(timers.size, 0, 'off() removes pointer tracking');
+
+t.dies(() => dom.on(li1, 'longpress', {debounce: 100}, () => null),
+  'option plugin cannot be combined with event plugin');
+t.dies(() => dom.on(li1, 'click', {debounce: 100, throttle: 100}, () => null),
+  'option plugins cannot be combined');
+t.dies(() => dom.hotkey(li1, 'a', () => null, {throttle: 100}),
+  'hotkey cannot be throttled');
+t.is(ev.events.length, 0, 'nothing assigned when plugins conflict');
+
+// A plugin that fails on the second node.
+class Flaky extends require('../lib/events/plugin')
+{
+  static get knownOptions() { return ['flaky']; }
+  constructor(registration)
+  {
+    super(registration);
+    if (registration.node === li2) throw new Error('flaky');
+  }
+}
+Flaky.register();
+calls = [];
+t.dies(() => dom.on(list.children, 'click', {flaky: true}, log),
+  'plugin error thrown by on()');
+dom.trigger(li1, 'click');
+t.ok(calls.length === 0 && ev.events.length === 0
+  && Object.keys(Events.Registration.forNode(li1)).every(
+    eid => Events.Registration.forNode(li1)[eid].length === 0),
+  'registrations rolled back after plugin error');
+
+list.remove();
+win.setTimeout = setTimeout;
+win.clearTimeout = clearTimeout;
+
+t.done();
@@ -0,0 +1,111 @@
+/**
+ * Tests for the bundled gesture plugins.
+ */
+const Test = require('@lumjs/tests-dom');
+const lib = require('../lib');
+const plugins = require('../lib/events/plugins');
+
+const plan = 14;
+
+const t = Test.getTest({module, plan});
+const dom = lib.new(t.dom.window);
+
+// A fake clock, so durations and velocities are predictable.
+const now = Date.now;
+let clock = 10000;
+Date.now = () => clock;
+
+const touches = dom.listCompiler.makeTouchList(
+  {identifier: 1, clientX: 5},
+  [{identifier: 2, clientX: 10}],
+);
+t.ok(touches.length === 2 && touches.item(1).clientX === 10,
+  'makeTouchList()');
+const built = dom.events.build('touchstart', {changedTouches: [{identifier: 3}]});
+t.is(built.changedTouches[0].identifier, 3, 'build() with touch arrays');
+
+const pad = dom.html('<div class="pad"><p class="a">A</p><p class="b">B</p></div>');
+dom.document.body.append(pad);
+const [pa, pb] = Array.from(pad.children);
+
+const touch = (type, target, id, x, y=0) => dom.trigger(target, type,
+{
+  bubbles: true,
+  changedTouches: [{identifier: id, target, clientX: x, clientY: y}],
+});
+
+let calls = [];
+const details = [];
+const log = function(e)
+{
+  calls.push(this.className+':'+e.type);
+  details.push(e.detail);
+};
+
+// Tap.
+const tapped = dom.on(pad, 'tap', 'p', log);
+t.isa(tapped.registrations[0].plugin, plugins.Tap, 'tap plugin');
+touch('touchstart', pb, 1, 10);
+clock += 100;
+touch('touchend', pb, 1, 12);
+t.ok(calls.join(',') === 'b:tap' && details[0].duration === 100
+  && details[0].pointerType === 'touch', 'tap dispatched');
+touch('touchstart', pa, 1, 10);
+touch('touchmove', pa, 1, 40);
+touch('touchend', pa, 1, 40);
+touch('touchstart', pa, 1, 10);
+clock += 500;
+touch('touchend', pa, 1, 10);
+t.is(calls.length, 1, 'no tap if moved or too slow');
+tapped.off();
+
+// Swipes.
+calls = [];
+details.length = 0;
+const swiped = dom.on(pad, 'swipeleft swipeup', log);
+t.is(swiped.registrations[0].plugin.constructor, plugins.Swipe, 'swipe plugin');
+touch('touchstart', pa, 1, 200, 50);
+touch('touchmove', pa, 1, 150, 55);
+clock += 50;
+touch('touchend', pa, 1, 100, 60);
+t.is(calls.join(','), 'pad:swipeleft', 'swipeleft dispatched once');
+const d = details[0];
+t.ok(d.direction === 'left' && d.dx === -100 && d.dy === 10
+  && d.duration === 50 && d.velocity === d.distance / 50, 'swipe detail');
+touch('touchstart', pa, 1, 100);
+touch('touchend', pa, 1, 200);
+touch('touchstart', pa, 1, 100);
+touch('touchend', pa, 1, 90);
+touch('touchstart', pa, 1, 0, 100);
+clock += 50;
+touch('touchend', pa, 1, 0, 0);
+t.is(calls.join(','), 'pad:swipeleft,pad:swipeup',
+  'swipes filtered by type and distance');
+swiped.off();
+
+// Pinch.
+calls = [];
+details.length = 0;
+const pinched = dom.on(pad, 'pinch', log);
+touch('touchstart', pa, 1, 0);
+touch('touchstart', pb, 2, 100);
+touch('touchmove', pb, 2, 105);
+t.is(calls.length, 0, 'pinch tolerance');
+clock += 10;
+touch('touchmove', pb, 2, 200);
+t.ok(calls.join(',') === 'pad:pinch' && details[0].scale === 2
+  && details[0].distance === 200 && details[0].velocity === 10
+  && details[0].x === 100, 'pinch detail');
+touch('touchmove', pa, 1, 150);
+t.is(details[1].scale, 0.5, 'pinch scale');
+touch('touchend', pa, 1, 150);
+touch('touchmove', pb, 2, 300);
+t.is(calls.length, 2, 'pinch ends when a pointer is released');
+pinched.off();
+touch('touchend', pb, 2, 300);
+t.is(dom.events.count(pad), 0, 'gesture handlers removed');
+
+pad.remove();
+Date.now = now;
+
+t.done();
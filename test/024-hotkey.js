@@ -0,0 +1,95 @@
+/**
+ * Tests for the `hotkey` plugin.
+ */
+const Test = require('@lumjs/tests-dom');
+const lib = require('../lib');
+const {Hotkey} = require('../lib/events/plugins');
+
+const plan = 17;
+
+const t = Test.getTest({module, plan});
+const dom = lib.new(t.dom.window);
+const ev = dom.events;
+
+const combos = Hotkey.parse('ctrl+shift+K, g i, mod+plus', true);
+t.is(combos.length, 3, 'parse() combos');
+t.ok(combos[0].text === 'ctrl+shift+K' && combos[0].steps[0].key === 'k'
+  && combos[0].steps[0].ctrlKey && combos[0].steps[0].shiftKey,
+  'parse() modifiers');
+t.ok(combos[1].steps.length === 2 && combos[1].steps[1].key === 'i',
+  'parse() sequences');
+t.ok(combos[2].steps[0].metaKey && combos[2].steps[0].key === '+',
+  'parse() mod on Mac');
+t.ok(Hotkey.isMac({platform: 'MacIntel'}) && !Hotkey.isMac({platform: 'Win32'}),
+  'isMac()');
+t.dies(() => Hotkey.parse('ctrl+'), 'parse() invalid combo');
+
+const doc = dom.document;
+const page = dom.html('<div><input name="q"/><p>text</p></div>');
+doc.body.append(page);
+const [input, para] = Array.from(page.children);
+
+const key = (target, k, mods={}) => dom.trigger(target, 'keydown',
+  Object.assign({key: k, bubbles: true}, mods));
+
+let calls = [];
+const log = e => calls.push(e.hotkey);
+
+const handler = dom.hotkey(doc, 'mod+s, shift+/, g i', log);
+t.isa(handler, dom.events.constructor.Handler, 'hotkey() returns Handler');
+key(para, 's', {ctrlKey: true});
+key(para, 's');
+key(para, 's', {ctrlKey: true, altKey: true});
+t.is(calls.join(','), 'mod+s', 'combo with mod');
+calls = [];
+key(para, '?', {shiftKey: true, code: 'Slash'});
+t.is(calls.join(','), 'shift+/', 'shifted punctuation code');
+calls = [];
+key(para, 'K', {shiftKey: true, code: 'KeyK'});
+key(para, '/', {code: 'Slash'});
+key(para, 'g');
+key(para, 'Shift', {shiftKey: true});
+key(para, 'i');
+t.is(calls.join(','), 'g i', 'sequence');
+calls = [];
+key(input, 's', {ctrlKey: true});
+t.is(calls.length, 0, 'editable fields ignored');
+handler.off();
+key(para, 's', {ctrlKey: true});
+t.ok(calls.length === 0 && ev.events.length === 0, 'hotkey removed by off()');
+
+// Scopes and options.
+const scoped = dom.hotkey(doc, 'esc', log, {scope: 'dialog', editable: true});
+key(input, 'Escape');
+t.is(calls.length, 0, 'scoped hotkey inactive');
+ev.hotkeyScope = 'dialog';
+key(input, 'Escape');
+t.is(calls.join(','), 'esc', 'scoped hotkey in editable field');
+scoped.off();
+ev.hotkeyScope = null;
+
+const shifted = dom.hotkey(doc, 'shift+1', log);
+key(para, '!', {shiftKey: true, code: 'Digit1'});
+t.is(calls.join(','), 'esc,shift+1', 'matches physical key');
+shifted.off();
+
+calls = [];
+const symbols = dom.hotkey(doc, 'ctrl+plus, ?', log);
+key(para, '+', {ctrlKey: true, shiftKey: true, code: 'Equal'});
+key(para, '+', {ctrlKey: true, code: 'NumpadAdd'});
+key(para, '?', {shiftKey: true, code: 'Slash'});
+key(para, '=', {ctrlKey: true, code: 'Equal'});
+t.is(calls.join(','), 'ctrl+plus,ctrl+plus,?', 'symbols typed with shift');
+symbols.off();
+
+calls = [];
+const layout = dom.hotkey(doc, 'q, alt+w', log);
+key(para, 'a', {code: 'KeyQ'});
+key(para, '\'', {code: 'KeyQ'});
+key(para, '∑', {altKey: true, code: 'KeyW'});
+t.is(calls.join(','), 'alt+w', 'physical key only used with modifiers');
+layout.off();
+
+page.remove();
+
+t.done();
@@ -0,0 +1,59 @@
+/**
+ * Tests for declared events in the `events` module.
+ */
+const Test = require('@lumjs/tests-dom');
+const lib = require('../lib');
+
+const plan = 15;
+
+const t = Test.getTest({module, plan});
+const dom = lib.new(t.dom.window, {devMode: true});
+const ev = dom.events;
+const win = dom.window;
+
+t.ok(ev.devMode, 'devMode option');
+t.is(ev.define('cart:updated',
+{
+  bubbles: true,
+  composed: true,
+  detail: {items: 'array', total: 'number', coupon: 'string?'},
+}), ev, 'define() returns this');
+t.ok(ev.definitions.has('cart:updated'), 'definition stored');
+
+const event = ev.build('cart:updated', {detail: {items: [], total: 5}});
+t.isa(event, win.CustomEvent, 'defined events are CustomEvent');
+t.ok(event.bubbles && event.composed && !event.cancelable,
+  'definition defaults applied');
+t.ok(!ev.build('cart:updated', {bubbles: false, detail: {items: [], total: 1}})
+  .bubbles, 'options override defaults');
+t.dies(() => ev.build('cart:updated', {detail: {items: 'x', total: 1}}),
+  'detail type validated');
+t.dies(() => ev.build('cart:updated', {detail: {items: [], coupon: 'A'}}),
+  'required detail property');
+t.dies(() => ev.trigger(dom.document, 'cart:updated'),
+  'trigger() validates detail');
+
+ev.define('before-save', {bubbles: true, cancelable: false,
+  detail: d => typeof d?.id === 'number'});
+const results = ev.dispatch(dom.document, 'before-save', {detail: {id: 1}});
+t.ok(!results[0].event.cancelable && results[0].event.bubbles,
+  'dispatch() uses definition defaults');
+t.dies(() => ev.build('before-save', {detail: {}}), 'function schema');
+t.dies(() => ev.define('bad', {detail: {x: 'integer'}}), 'invalid schema');
+t.dies(() => ev.define('bad.name'), 'invalid name');
+
+// Dev mode warnings.
+const warn = console.warn;
+const warnings = [];
+console.warn = msg => warnings.push(msg);
+const body = dom.document.body;
+dom.on(body, 'click change cart:updated DOMContentLoaded longpress',
+  () => null).off();
+t.is(warnings.length, 0, 'no warnings for known events');
+dom.on(body, 'cart:upated', () => null).off();
+dom.on(body, 'cart:upated', () => null).off();
+console.warn = warn;
+t.ok(warnings.length === 1 && warnings[0].includes("'cart:upated'"),
+  'warned once about undeclared event');
+
+t.done();
@@ -0,0 +1,56 @@
+/**
+ * Tests for the `wrap` module.
+ */
+const Test = require('@lumjs/tests-dom');
+const lib = require('../lib');
+
+const plan = 20;
+
+const t = Test.getTest({module, plan});
+
+const dom = lib.new(t.dom.window);
+const wrapper = dom.wrapper;
+t.isa(wrapper, 'object', 'wrapper is an object');
+
+const main = dom.get('#main');
+const item = dom.wrap(main);
+t.ok(wrapper.isWrapped(item), 'wrap(Node) is wrapped');
+t.is(item.node, main, 'item.node is the original node');
+t.is(item.id, 'main', 'item.id');
+t.ok(main.find === undefined, 'native node was not modified');
+t.is(dom.wrap(item), item, 'wrap(wrapped) returns same object');
+
+const paras = item.find('p');
+t.ok(wrapper.isWrapped(paras), 'item.find() is wrapped');
+t.is(paras.length, 4, 'item.find() length');
+t.is(paras.first.id, 'p1', 'collection.first');
+t.is(paras.last.id, 'p4', 'collection.last');
+t.is(item.get('.b').id, 'p3', 'item.get()');
+
+paras.attr('data-test', 'yes');
+t.is(main.querySelectorAll('[data-test="yes"]').length, 4, 'collection.attr() set');
+
+const wdom = lib.new(t.dom.window, {autoWrap: true});
+t.ok(wrapper.isWrapped(wdom.get('#p2')), 'get() with autoWrap');
+t.is(wdom.find('p.a').length, 2, 'find() with autoWrap');
+t.is(wdom.find('#main').find('p').length, 4, 'find() chained with autoWrap');
+
+const html = wdom.html('<ul><li>One</li></ul>');
+html.add('<li>Two</li>').add('Three');
+t.is(html.find('li').length, 2, 'html() with autoWrap and add()');
+t.is(html.text(), 'OneTwoThree', 'item.text()');
+
+const lists = dom.wrap([dom.elem('ul'), dom.elem('ul')]);
+const li = dom.create('li', 'Item');
+lists.add(li);
+t.ok(lists.items.every(list => list.node.children.length === 1
+  && list.node.textContent === 'Item') && li.parentNode === lists.last.node,
+  'collection.add(Node) copies the node for each item');
+lists.add(dom.html('<li>A</li><li>B</li>'));
+t.is(lists.items.map(list => list.text()).join(','), 'ItemAB,ItemAB',
+  'collection.add(HTMLCollection)');
+const box = dom.elem('div');
+lists.addTo(box);
+t.is(box.children.length, 2, 'collection.addTo() moves every node');
+
+t.done();
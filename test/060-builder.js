@@ -0,0 +1,55 @@
+/**
+ * Tests for the `builder` module.
+ */
+const Test = require('@lumjs/tests-dom');
+const lib = require('../lib');
+
+const plan = 16;
+
+const t = Test.getTest({module, plan});
+
+const dom = lib.new(t.dom.window);
+
+let clicked = 0;
+const onclick = () => clicked++;
+
+const list = dom.create('ul', {id: 'menu', class: ['a', 'b']},
+  dom.create('li', {dataset: {key: '1'}, onclick}, 'One'),
+  dom.create('li', {style: {color: 'red', 'font-size': '2em'}}, 'Two', 3),
+  [dom.elem('li'), null, false],
+  dom.html('<li>Four</li><li>Five</li>'),
+);
+
+t.isElement(list, 'create() returns Element');
+t.is(list.id, 'menu', 'create() property');
+t.is(list.className, 'a b', 'create() class Array');
+t.is(list.children.length, 5, 'create() children');
+t.is(list.children[0].dataset.key, '1', 'create() dataset');
+t.is(list.children[1].style.color, 'red', 'create() style property');
+t.is(list.children[1].style.fontSize, '2em', 'create() style CSS name');
+t.is(list.children[1].textContent, 'Two3', 'create() text children');
+
+dom.events.trigger(list.children[0], 'click');
+t.is(clicked, 1, 'create() on* listener');
+
+const button = dom.create('button', {onClick: onclick});
+dom.events.trigger(button, 'click');
+t.is(clicked, 2, 'create() onCamelCase listener');
+
+const input = dom.create('input', 
+{
+  type: 'checkbox', 
+  attrs: {'aria-label': 'Check', disabled: true},
+  'data-test': 'yes',
+  class: {on: true, off: false},
+});
+t.is(input.getAttribute('aria-label'), 'Check', 'create() attrs');
+t.ok(input.disabled, 'create() boolean attr');
+t.is(input.getAttribute('data-test'), 'yes', 'create() unknown prop is attribute');
+t.is(input.className, 'on', 'create() class object');
+
+const frag = dom.create([['p', 'One'], ['p', {class: 'x'}, 'Two']]);
+t.is(frag.nodeType, lib.NODE_TYPE.FRAG, 'create(Array) returns DocumentFragment');
+t.is(frag.childNodes.length, 2, 'create(Array) root count');
+
+t.done();
@@ -0,0 +1,67 @@
+/**
+ * Tests for the `tpl` tagged template.
+ */
+const Test = require('@lumjs/tests-dom');
+const lib = require('../lib');
+const HM = lib.HTML_MODE;
+
+const plan = 21;
+
+const t = Test.getTest({module, plan});
+
+const dom = lib.new(t.dom.window);
+
+const name = '<script>alert("x")</script>';
+let item = dom.tpl`<li title="${name}">${name}</li>`;
+t.isElement(item, 'tpl() returns Element');
+t.is(item.textContent, name, 'tpl() text is escaped');
+t.is(item.getAttribute('title'), name, 'tpl() attribute is escaped');
+t.is(item.children.length, 0, 'tpl() no injected elements');
+t.is(item.ownerDocument, dom.document, 'tpl() result is adopted');
+
+let clicks = 0;
+const onClick = function() { clicks++; };
+const icon = dom.elem('i');
+const items = [dom.elem('b'), 'text', null];
+
+item = dom.tpl`<li onclick=${onClick}>${icon}<span>${items}</span></li>`;
+t.ok(!item.hasAttribute('onclick'), 'tpl() event attribute removed');
+dom.events.trigger(item, 'click');
+t.is(clicks, 1, 'tpl() event listener bound');
+t.is(item.firstChild, icon, 'tpl() Node inserted in place');
+t.is(item.lastChild.innerHTML, '<b></b>text', 'tpl() Array inserted in place');
+
+const attack = 'x onmouseover=alert(1)';
+item = dom.tpl`<a title=${attack} class=link>Hi</a>`;
+t.ok(item.getAttribute('title') === attack && !item.hasAttribute('onmouseover')
+  && item.className === 'link', 'tpl() unquoted attribute is quoted');
+item = dom.tpl`<a title="a>b" href=${'x onmouseover=alert(1)'}>Hi</a>`;
+t.ok(item.getAttribute('href') === 'x onmouseover=alert(1)'
+  && !item.hasAttribute('onmouseover'), 'tpl() > in double quoted attribute');
+item = dom.tpl`<a title='it>s' class=${'q autofocus onfocus=alert(2)'}>Hi</a>`;
+t.ok(item.className === 'q autofocus onfocus=alert(2)'
+  && !item.hasAttribute('onfocus') && !item.hasAttribute('autofocus'),
+  "tpl() > in single quoted attribute");
+item = dom.tpl`<p title="x onclick=${'y'}">a > b = ${'c'}</p>`;
+t.ok(item.title === 'x onclick=y' && item.textContent === 'a > b = c',
+  'tpl() text that looks like attributes');
+t.dies(() => dom.tpl`<a title=x${attack}>Hi</a>`,
+  'tpl() value inside unquoted attribute');
+t.dies(() => dom.tpl`<a onclick=${'alert(1)'}>Hi</a>`,
+  'tpl() non-listener in event attribute');
+t.dies(() => dom.tpl`<a onclick="go(${'1'})">Hi</a>`,
+  'tpl() text inside event attribute');
+t.dies(() => dom.tpl`<a onclick=${null}>Hi</a>`,
+  'tpl() null in event attribute');
+
+const list = dom.tpl`<li>${1}</li><li>${false}</li>`;
+t.isHTMLCollection(list, 'tpl() multiple roots returns HTMLCollection');
+t.is(list[1].textContent, '', 'tpl() false is empty');
+
+const body = dom.tplWith(HM.BODY)`<p>${'Hi'}</p>`;
+t.is(body.tagName, 'BODY', 'tplWith(:BODY)');
+
+const wrapped = dom.tplWith({wrap: true})`<p>${'Hi'}</p>`;
+t.ok(dom.wrapper.isWrapped(wrapped), 'tplWith(:wrap)');
+
+t.done();
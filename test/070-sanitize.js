@@ -0,0 +1,63 @@
+/**
+ * Tests for the `sanitize` module.
+ */
+const Test = require('@lumjs/tests-dom');
+const lib = require('../lib');
+const HM = lib.HTML_MODE;
+
+const plan = 18;
+
+const t = Test.getTest({module, plan});
+
+const dom = lib.new(t.dom.window);
+
+const UNSAFE = '<div class="x" onclick="evil()">'
+  + '<script>evil()</script>'
+  + '<a href="javascript:evil()">Bad</a>'
+  + '<a href=" JaVa&#x0A;script:evil()">Worse</a>'
+  + '<a href="/page" target="_blank">Good</a>'
+  + '<img src="data:image/png;base64,AAAA" alt="ok">'
+  + '<img src="data:text/html;base64,AAAA">'
+  + '<custom><b>Kept</b></custom>'
+  + '<!-- comment -->'
+  + '</div>';
+
+let report;
+const elem = dom.html(UNSAFE, {sanitize: true, onSanitize: r => report = r});
+
+t.isElement(elem, 'html(:sanitize) returns Element');
+t.is(elem.className, 'x', 'allowed attribute kept');
+t.ok(!elem.hasAttribute('onclick'), 'event attribute removed');
+t.is(elem.getElementsByTagName('script').length, 0, 'script removed');
+t.is(elem.querySelectorAll('a[href]').length, 1, 'javascript: URLs removed');
+t.is(elem.querySelector('a[href]').getAttribute('href'), '/page', 'relative URL kept');
+t.is(elem.querySelectorAll('img[src]').length, 1, 'only data: images kept');
+t.is(elem.getElementsByTagName('custom').length, 0, 'unknown element removed');
+t.is(elem.querySelector('b')?.textContent, 'Kept', 'unknown element contents kept');
+
+t.ok(report.modified, 'report.modified');
+t.is(report.elements.join(','), 'script,custom', 'report.elements');
+t.is(report.attributes.length, 4, 'report.attributes');
+t.is(report.comments, 1, 'report.comments');
+
+const policy = {elements: ['p'], dataAttributes: true, comments: true};
+t.is(dom.sanitizer.clean('<p data-x="1" style="a">Hi<!--c--></p><hr>', policy), 
+  '<p data-x="1">Hi<!--c--></p>', 'clean() with custom policy');
+
+const frag = dom.html('<p>One</p><iframe src="x"></iframe>', {adopt: false});
+report = dom.sanitize(frag);
+t.is(report.elements[0], 'iframe', 'sanitize(HTMLCollection)');
+t.ok(dom.sanitizer.isSafeURL('mailto:a@b.c'), 'isSafeURL(mailto)');
+
+const body = dom.html('<html onclick="x()" lang="en"><body onload="x()" class="b">'
+  + '<p>Hi</p></body></html>', {sanitize: true, mode: HM.BODY});
+t.ok(!body.hasAttribute('onload') && body.className === 'b',
+  'body attributes sanitized');
+const doc = dom.parse('<html onclick="x()"><head onmouseover="x()"></head>'
+  + '<body></body></html>');
+report = dom.sanitize(doc);
+t.ok(!doc.documentElement.hasAttribute('onclick')
+  && !doc.head.hasAttribute('onmouseover') && report.attributes.length === 2,
+  'html and head attributes sanitized');
+
+t.done();
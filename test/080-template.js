@@ -0,0 +1,46 @@
+/**
+ * Tests for the `template` module.
+ */
+const Test = require('@lumjs/tests-dom');
+const lib = require('../lib');
+const Template = require('../lib/template');
+
+const plan = 15;
+
+const t = Test.getTest({module, plan});
+
+const dom = lib.new(t.dom.window);
+
+dom.document.body.insertAdjacentHTML('beforeend', `<template id="row">
+  <tr class="row">
+    <td data-slot="name">Unknown</td>
+    <td><a href="#" data-slot-href="url" data-slot="link">Link</a></td>
+    <td class="extra"></td>
+  </tr>
+</template>`);
+
+const tmpl = dom.template('#row');
+t.isa(tmpl, Template, 'template() returns Template');
+t.is(dom.template('#row'), tmpl, 'template() is cached');
+t.is(tmpl.slots.length, 3, 'compiled slot count');
+
+let row = tmpl.render({name: 'Bob', url: '/bob', link: 'Profile'});
+t.isElement(row, 'render() returns single Element');
+t.is(row.cells[0].textContent, 'Bob', 'content slot');
+t.is(row.querySelector('a').getAttribute('href'), '/bob', 'attribute slot');
+t.is(row.querySelector('a').textContent, 'Profile', 'content and attribute slot');
+t.ok(!row.querySelector('[data-slot]'), 'slot attributes removed');
+t.is(row.ownerDocument, dom.document, 'render() owned by document');
+
+row = tmpl.render({link: {text: 'Go', class: 'btn'}, url: null});
+t.is(row.cells[0].textContent, 'Unknown', 'undefined slot left as is');
+t.is(row.querySelector('a').className, 'btn', 'object slot properties');
+t.ok(!row.querySelector('a').hasAttribute('href'), 'null attribute slot removed');
+
+const custom = dom.template(dom.get('#row'), {slots: {extra: 'td.extra', cls: 'tr@class'}});
+row = custom.render({extra: [dom.elem('b'), 'x'], cls: 'custom'}, {wrap: true});
+t.ok(dom.wrapper.isWrapped(row), 'render(:wrap)');
+t.is(row.node.cells[2].innerHTML, '<b></b>x', 'selector slot with Array');
+t.is(row.node.className, 'custom', 'selector attribute slot');
+
+t.done();
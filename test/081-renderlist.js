@@ -0,0 +1,106 @@
+/**
+ * Tests for the `renderlist` module.
+ */
+const Test = require('@lumjs/tests-dom');
+const lib = require('../lib');
+
+const plan = 19;
+
+const t = Test.getTest({module, plan});
+
+const dom = lib.new(t.dom.window);
+
+const list = dom.elem('ul');
+const header = dom.create('li', {class: 'header'}, 'Header');
+list.appendChild(header);
+
+let created = 0, updated = 0;
+const opts =
+{
+  key: 'id',
+  create(item)
+  {
+    created++;
+    return dom.create('li', item.name);
+  },
+  update(node, item)
+  {
+    updated++;
+    node.textContent = item.name;
+  },
+}
+
+const names = () => Array.from(list.children, li => li.textContent).join(',');
+
+let res = dom.renderList(list, 
+[
+  {id: 1, name: 'a'},
+  {id: 2, name: 'b'},
+  {id: 3, name: 'c'},
+], opts);
+
+t.isNodeList(res, 'renderList() returns NodeList');
+t.is(res.length, 3, 'returned all nodes');
+t.is(names(), 'Header,a,b,c', 'initial render');
+t.is(created, 3, 'created all nodes');
+
+const [a, b, c] = Array.from(res);
+
+// Track DOM mutations to count the moves.
+let moves = 0;
+const orig = list.insertBefore;
+list.insertBefore = function(...args)
+{
+  moves++;
+  return orig.apply(this, args);
+}
+
+res = dom.renderList(list,
+[
+  {id: 3, name: 'C'},
+  {id: 1, name: 'a'},
+  {id: 2, name: 'b'},
+  {id: 4, name: 'd'},
+], opts);
+
+t.is(names(), 'Header,C,a,b,d', 'reordered render');
+t.is(created, 4, 'only new item created');
+t.is(updated, 3, 'existing items updated');
+t.is(res[0], c, 'reused node moved to start');
+t.ok(res[1] === a && res[2] === b, 'reused nodes kept');
+t.is(moves, 2, 'minimal DOM operations');
+
+res = dom.renderList(list, [{id: 2, name: 'b'}], opts);
+t.is(names(), 'Header,b', 'leftovers removed, other nodes kept');
+t.is(res[0], b, 'remaining node reused');
+t.ok(!a.isConnected && !c.isConnected, 'removed nodes disconnected');
+
+dom.renderList(list, [], opts);
+t.is(names(), 'Header', 'empty render');
+
+t.dies(() => dom.renderList(list, [{id: 1}, {id: 1}], opts), 'duplicate keys');
+t.dies(() => dom.renderList(list, [{id: 1}], {key: 'id', create: () => 'x'}),
+  'create() must return a Node');
+
+dom.renderList(list, [{id: 1, name: 'a'}, {id: 2, name: 'b'}], opts);
+t.dies(() => dom.renderList(list, [{id: 2, name: 'B'}, {id: 2, name: 'x'}], opts),
+  'duplicate keys after update');
+t.is(names(), 'Header,a,b', 'nothing updated when a key is invalid');
+
+const rerender = {render: item => dom.create('li', item.name)};
+dom.renderList(list, [{id: 1, name: 'a'}, {id: 2, name: 'b'}],
+  {key: 'id', create: rerender});
+const before = Array.from(list.children);
+let count = 0;
+const failing = {render: item => (++count > 1) ? null : dom.create('li', item.name)};
+try
+{
+  dom.renderList(list, [{id: 1, name: 'A'}, {id: 2, name: 'B'}],
+    {key: 'id', create: failing});
+}
+catch (e) {}
+t.ok(names() === 'Header,a,b'
+  && Array.from(list.children).every((li, i) => li === before[i]),
+  'nothing replaced when create() fails');
+
+t.done();
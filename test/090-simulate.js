@@ -0,0 +1,112 @@
+/**
+ * Tests for the `simulate` module.
+ */
+const Test = require('@lumjs/tests-dom');
+const lib = require('../lib');
+const Simulator = require('../lib/simulate');
+
+const plan = 16;
+
+const t = Test.getTest({module, plan});
+const dom = lib.new(t.dom.window);
+const sim = dom.simulator;
+t.isa(sim, Simulator, 'dom.simulator');
+
+const form = dom.html(`<form>
+  <input name="name" value="Hi"/>
+  <input name="code" maxlength="3"/>
+  <textarea name="notes"></textarea>
+  <input type="checkbox" name="ok"/>
+  <select name="colour">
+    <option value="red">Red</option><option value="blue">Blue</option>
+  </select>
+  <select name="tags" multiple>
+    <option value="a">A</option><option value="b">B</option>
+    <option value="c" selected>C</option>
+  </select>
+  <button type="button" disabled>Go</button>
+</form>`);
+dom.document.body.append(form);
+const fields = form.elements;
+
+let calls = [];
+const log = e => calls.push(e.type);
+
+// Clicks.
+const clicked = dom.on(fields.ok, 'pointerdown mousedown focus pointerup mouseup click', log);
+sim.click(fields.ok);
+t.is(calls.join(','), 'pointerdown,mousedown,focus,pointerup,mouseup,click',
+  'click() event sequence');
+t.ok(fields.ok.checked && dom.document.activeElement === fields.ok,
+  'click() default actions');
+clicked.off();
+
+calls = [];
+dom.on(form.querySelector('button'), 'click', log);
+sim.click(form.querySelector('button'));
+t.is(calls.length, 0, 'disabled elements not clicked');
+
+// Typing.
+calls = [];
+const typed = dom.on(fields.name, 'keydown keypress beforeinput input keyup', log);
+sim.type(fields.name, 'y');
+t.is(calls.join(','), 'keydown,keypress,beforeinput,input,keyup',
+  'type() event sequence');
+t.is(fields.name.value, 'Hiy', 'type() appends text');
+sim.type(fields.name, 'Bob', {clear: true});
+t.is(fields.name.value, 'Bob', 'type() with clear');
+typed.off();
+
+const details = [];
+dom.on(fields.name, 'input', e => details.push(e.data+':'+e.inputType));
+dom.on(fields.name, 'keydown', e => { if (e.key === 'x') e.preventDefault(); });
+sim.type(fields.name, 'xz', {clear: true});
+t.ok(fields.name.value === 'z' && details.join(',') === 'z:insertText',
+  'cancelled keydown skips input');
+
+sim.type(fields.code, '12345');
+t.is(fields.code.value, '123', 'type() honours maxLength');
+sim.type(fields.notes, 'a\nb');
+t.is(fields.notes.value, 'a\nb', 'type() newline in textarea');
+t.dies(() => sim.type(fields.notes, 5), 'type() needs a string');
+
+// Selecting.
+calls = [];
+dom.on(fields.colour, 'input change', log);
+sim.select(fields.colour, 'blue');
+t.ok(fields.colour.value === 'blue' && calls.join(',') === 'input,change',
+  'select() single');
+sim.select(fields.tags, ['a', 'b']);
+t.is(Array.from(fields.tags.selectedOptions).map(o => o.value).join(','), 'a,b',
+  'select() multiple');
+t.dies(() => sim.select(fields.colour, 'green'), 'select() unknown value');
+
+// Dragging.
+const list = dom.html('<ul><li draggable="true">A</li><li>B</li></ul>');
+dom.document.body.append(list);
+const [from, to] = Array.from(list.children);
+calls = [];
+dom.on(from, 'dragstart', e =>
+{
+  calls.push(e.type);
+  e.dataTransfer.setData('text/plain', 'A');
+});
+dom.on(from, 'drag dragend', log);
+dom.on(to, 'dragenter drop', log);
+dom.on(to, 'dragover', e => e.preventDefault());
+let dropped = null;
+dom.on(to, 'drop', e => dropped = e.dataTransfer.getData('text/plain'));
+sim.drag(from, to);
+t.ok(calls.join(',') === 'dragstart,drag,dragenter,drop,dragend'
+  && dropped === 'A', 'drag() event sequence with dataTransfer');
+
+dom.off(to, 'dragover');
+calls = [];
+sim.drag(from, to);
+t.is(calls.join(','), 'dragstart,drag,dragenter,dragend',
+  'no drop unless dragover cancelled');
+
+form.remove();
+list.remove();
+
+t.done();